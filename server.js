@@ -2,7 +2,22 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { pipeline } = require('stream/promises');
 const sharp = require('sharp');
+const { openStore } = require('./storage');
+const exifReader = require('exif-reader');
+const archiver = require('archiver');
+const yauzl = require('yauzl');
+const decodeHeic = require('heic-decode');
+const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+const ffprobePath = require('@ffprobe-installer/ffprobe').path;
+const topojson = require('topojson-client');
+
+const execFileAsync = promisify(execFile);
 
 const app = express();
 const PORT = 5567;
@@ -16,30 +31,146 @@ if (!fs.existsSync(photosDir)) {
 // Default album for existing photos
 const DEFAULT_ALBUM = 'default';
 
-// Store photo metadata
-const metadataFile = path.join(__dirname, 'photos', 'metadata.json');
-let photosMetadata = [];
+// Album names double as directory names, so keep them to lowercase letters, digits and dashes
+function sanitizeAlbumName(name) {
+    return String(name).trim().toLowerCase().replace(/[^a-z0-9\s-]/g, '').replace(/\s+/g, '-');
+}
 
-// Load existing metadata if it exists
-if (fs.existsSync(metadataFile)) {
-    try {
-        photosMetadata = JSON.parse(fs.readFileSync(metadataFile, 'utf8'));
-        
-        // Migrate existing photos to have album field
-        let needsSave = false;
-        photosMetadata.forEach(photo => {
-            if (!photo.album) {
-                photo.album = DEFAULT_ALBUM;
-                needsSave = true;
+// Derived renditions (thumbnails, medium sizes) live in a hidden cache directory
+const derivedDir = path.join(photosDir, '.derived');
+if (!fs.existsSync(derivedDir)) {
+    fs.mkdirSync(derivedDir);
+}
+
+// Longest edge in pixels for each rendition size served to the gallery
+const RENDITION_SIZES = {
+    thumb: 400,
+    medium: 1600
+};
+
+// Normalize tags from a comma-separated string or an array into a lowercase, de-duplicated list
+function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    const normalized = list
+        .map(tag => String(tag).trim().toLowerCase().replace(/\s+/g, ' '))
+        .filter(Boolean);
+    return [...new Set(normalized)];
+}
+
+// Permanent photo ID; unlike the filename it never changes
+function createPhotoId() {
+    return crypto.randomBytes(6).toString('hex');
+}
+
+// Metadata schema migrations, applied in order by the storage layer. Version 0 is the original
+// bare array of photos; append a migration (never edit an old one) whenever the stored shape changes.
+const METADATA_MIGRATIONS = [
+    // 1: wrap the photo list in a versioned document
+    (photos) => ({ photos: photos }),
+    // 2: every photo has an album and a normalized tag list
+    (data) => {
+        data.photos.forEach(photo => {
+            photo.album = photo.album || DEFAULT_ALBUM;
+            if (!Array.isArray(photo.tags)) {
+                photo.tags = normalizeTags(photo.tags);
             }
         });
-        
-        if (needsSave) {
-            fs.writeFileSync(metadataFile, JSON.stringify(photosMetadata, null, 2));
-        }
-    } catch (err) {
-        photosMetadata = [];
+        return data;
+    },
+    // 3: permanent photo IDs, plus the filenames a photo has had so old links can be redirected
+    (data) => {
+        data.photos.forEach(photo => {
+            photo.id = photo.id || createPhotoId();
+            photo.previousFilenames = photo.previousFilenames || [];
+        });
+        return data;
+    },
+    // 4: album membership is a list of its own, separate from the directory a photo is stored in,
+    // and albums get records for their description, cover photo and manual order
+    (data) => {
+        data.photos.forEach(photo => {
+            photo.albums = Array.isArray(photo.albums) ? photo.albums : [photo.album || DEFAULT_ALBUM];
+        });
+        data.albums = data.albums || [];
+        return data;
+    },
+    // 5: local user accounts, and who uploaded each photo (unknown for photos from before accounts)
+    (data) => {
+        data.photos.forEach(photo => {
+            photo.uploadedBy = photo.uploadedBy || null;
+        });
+        data.users = data.users || [];
+        data.sessions = data.sessions || [];
+        return data;
+    },
+    // 6: deleted photos wait in a trash list (their files in photos/.trash) until restored or purged
+    (data) => {
+        data.trash = data.trash || [];
+        return data;
+    }
+];
+
+// Store photo metadata. A library that can't be read stops the server rather than starting empty.
+const metadataFile = path.join(__dirname, 'photos', 'metadata.json');
+let store;
+try {
+    store = openStore(metadataFile, METADATA_MIGRATIONS);
+} catch (err) {
+    console.error(`Failed to load photo metadata: ${err.message}`);
+    process.exit(1);
+}
+
+// Where a photo's file currently lives
+function getPhotoPath(photo) {
+    return path.join(photosDir, photo.album || DEFAULT_ALBUM, photo.filename);
+}
+
+// Look a photo up by ID, or by its current filename for clients that still use filenames
+function findPhoto(key) {
+    return store.photos.find(p => p.id === key) || store.photos.find(p => p.filename === key);
+}
+
+// Albums a photo belongs to. This is membership only: photo.album is the directory the file is
+// stored in, which is one of these unless the photo was removed from it.
+function getPhotoAlbums(photo) {
+    return Array.isArray(photo.albums) ? photo.albums : [photo.album || DEFAULT_ALBUM];
+}
+
+// An album's description, cover and manual order. findAlbumRecord is for reads; getAlbumRecord
+// creates the record and so belongs inside a transaction.
+function findAlbumRecord(name) {
+    return store.collection('albums', []).find(record => record.name === name);
+}
+
+function getAlbumRecord(name) {
+    let record = findAlbumRecord(name);
+    if (!record) {
+        record = { name: name, description: '', coverPhotoId: null, order: [] };
+        store.collection('albums', []).push(record);
+    }
+    return record;
+}
+
+// Albums are directories under photos/ (hidden ones are caches, not albums)
+function albumExists(name) {
+    if (!name || name.startsWith('.') || name !== path.basename(name)) {
+        return false;
     }
+    const albumPath = path.join(photosDir, name);
+    return fs.existsSync(albumPath) && fs.statSync(albumPath).isDirectory();
+}
+
+// Find a photo and modify it inside a transaction, so no other request can change it between the
+// lookup and the save. Resolves to the updated photo, or null if the photo no longer exists.
+function updatePhoto(key, update) {
+    return store.transaction(async () => {
+        const photo = findPhoto(key);
+        if (!photo) {
+            return null;
+        }
+        await update(photo);
+        return photo;
+    });
 }
 
 // Ensure default album directory exists
@@ -49,7 +180,7 @@ if (!fs.existsSync(defaultAlbumDir)) {
 }
 
 // Move existing photos to default album if they're in the root photos directory
-photosMetadata.forEach(photo => {
+store.photos.forEach(photo => {
     const oldPath = path.join(photosDir, photo.filename);
     const newPath = path.join(photosDir, photo.album || DEFAULT_ALBUM, photo.filename);
     
@@ -62,483 +193,4774 @@ photosMetadata.forEach(photo => {
     }
 });
 
+// Path of the cached rendition for a photo at a given size
+function getRenditionPath(filename, size) {
+    const baseName = path.basename(filename, path.extname(filename));
+    return path.join(derivedDir, size, `${baseName}.jpg`);
+}
+
+// Renditions currently being generated, keyed by rendition path
+const pendingRenditions = new Map();
+
+// Return the rendition path, rebuilding it if missing or older than the source file. Videos are
+// drawn from their poster frame.
+async function ensureRendition(sourcePath, filename, size) {
+    if (isVideoFile(sourcePath)) {
+        sourcePath = await ensurePoster(sourcePath, filename);
+    }
+    const renditionPath = getRenditionPath(filename, size);
+    const sourceStat = fs.statSync(sourcePath);
+
+    if (fs.existsSync(renditionPath) && fs.statSync(renditionPath).mtimeMs >= sourceStat.mtimeMs) {
+        return renditionPath;
+    }
+
+    if (pendingRenditions.has(renditionPath)) {
+        return pendingRenditions.get(renditionPath);
+    }
+
+    const pending = (async () => {
+        fs.mkdirSync(path.dirname(renditionPath), { recursive: true });
+        const tmpPath = renditionPath + '.tmp';
+        await sharp(sourcePath)
+            .rotate()
+            .resize({
+                width: RENDITION_SIZES[size],
+                height: RENDITION_SIZES[size],
+                fit: 'inside',
+                withoutEnlargement: true
+            })
+            .jpeg({ quality: 80, progressive: true })
+            .toFile(tmpPath);
+        fs.renameSync(tmpPath, renditionPath);
+        return renditionPath;
+    })();
+
+    pendingRenditions.set(renditionPath, pending);
+    try {
+        return await pending;
+    } finally {
+        pendingRenditions.delete(renditionPath);
+    }
+}
+
+// Generate every rendition size for a photo, logging rather than failing on errors
+async function generateRenditions(sourcePath, filename) {
+    for (const size of Object.keys(RENDITION_SIZES)) {
+        try {
+            await ensureRendition(sourcePath, filename, size);
+        } catch (err) {
+            console.error(`Failed to generate ${size} rendition for ${filename}:`, err);
+        }
+    }
+}
+
+// Return the poster frame of a video, extracting it if missing or older than the video. It's taken
+// a second in, past any fade from black, unless the clip is shorter than that.
+async function ensurePoster(videoPath, filename) {
+    const posterPath = getRenditionPath(filename, 'poster');
+    const videoStat = fs.statSync(videoPath);
+
+    if (fs.existsSync(posterPath) && fs.statSync(posterPath).mtimeMs >= videoStat.mtimeMs) {
+        return posterPath;
+    }
+
+    if (pendingRenditions.has(posterPath)) {
+        return pendingRenditions.get(posterPath);
+    }
+
+    const pending = (async () => {
+        fs.mkdirSync(path.dirname(posterPath), { recursive: true });
+        const tmpPath = posterPath + '.tmp';
+        for (const seconds of ['1', '0']) {
+            await execFileAsync(ffmpegPath, [
+                '-v', 'error', '-y', '-ss', seconds, '-i', videoPath,
+                '-frames:v', '1', '-q:v', '2', '-f', 'image2', tmpPath
+            ]);
+            // Seeking past the end succeeds but writes nothing
+            if (fs.existsSync(tmpPath) && fs.statSync(tmpPath).size > 0) {
+                fs.renameSync(tmpPath, posterPath);
+                return posterPath;
+            }
+        }
+        throw new Error('No frame could be read from this video');
+    })();
+
+    pendingRenditions.set(posterPath, pending);
+    try {
+        return await pending;
+    } finally {
+        pendingRenditions.delete(posterPath);
+    }
+}
+
+// Remove cached renditions (and a video's poster frame) for a photo (after delete or rename)
+function removeRenditions(filename) {
+    for (const size of [...Object.keys(RENDITION_SIZES), 'poster']) {
+        const renditionPath = getRenditionPath(filename, size);
+        if (fs.existsSync(renditionPath)) {
+            fs.unlinkSync(renditionPath);
+        }
+    }
+}
+
+// Untouched originals of edited photos, keyed by filename
+const originalsDir = path.join(photosDir, '.originals');
+if (!fs.existsSync(originalsDir)) {
+    fs.mkdirSync(originalsDir);
+}
+
+function getOriginalPath(filename) {
+    return path.join(originalsDir, filename);
+}
+
+// Frozen result of a crop made before edit history existed (migrated from <file>.backup)
+function getSnapshotPath(filename) {
+    const ext = path.extname(filename);
+    return path.join(originalsDir, `${path.basename(filename, ext)}.snapshot${ext}`);
+}
+
+// Scale factor of the largest same-aspect rectangle that fits inside a width x height
+// image rotated by angle degrees (used to auto-crop the empty corners after straightening)
+function getStraightenScale(width, height, angle) {
+    const radians = Math.abs(angle) * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    return Math.min(width / (width * cos + height * sin), height / (width * sin + height * cos));
+}
+
+// Edit operations. Each takes a sharp pipeline over the previous step's pixels plus their
+// dimensions (and the photo) and returns the next pipeline (or a promise of one); rendering
+// replays them in order from the original.
+const EDIT_OPERATIONS = {
+    crop: (image, op, info) => {
+        const left = Math.min(op.left, info.width - 1);
+        const top = Math.min(op.top, info.height - 1);
+        return image.extract({
+            left: left,
+            top: top,
+            width: Math.max(1, Math.min(op.width, info.width - left)),
+            height: Math.max(1, Math.min(op.height, info.height - top))
+        });
+    },
+    snapshot: (image, op, info, photo) => sharp(getSnapshotPath(photo.filename)),
+    rotate: (image, op) => image.rotate(op.angle),
+    flip: (image, op) => op.direction === 'vertical' ? image.flip() : image.flop(),
+    straighten: async (image, op, info) => {
+        const rotated = await image
+            .rotate(op.angle, { background: { r: 0, g: 0, b: 0 } })
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+        const scale = getStraightenScale(info.width, info.height, op.angle);
+        const width = Math.max(1, Math.floor(info.width * scale));
+        const height = Math.max(1, Math.floor(info.height * scale));
+        return sharp(rotated.data, { raw: rotated.info }).extract({
+            left: Math.floor((rotated.info.width - width) / 2),
+            top: Math.floor((rotated.info.height - height) / 2),
+            width: width,
+            height: height
+        });
+    },
+    // brightness, contrast and saturation run from -100 to 100; sharpen from 0 to 100
+    adjust: (image, op) => {
+        let adjusted = image;
+        if (op.brightness || op.saturation) {
+            adjusted = adjusted.modulate({
+                brightness: 1 + (op.brightness || 0) / 100,
+                saturation: 1 + (op.saturation || 0) / 100
+            });
+        }
+        if (op.contrast) {
+            const slope = 1 + op.contrast / 100;
+            adjusted = adjusted.linear(slope, 128 * (1 - slope));
+        }
+        if (op.sharpen) {
+            adjusted = adjusted.sharpen({ sigma: 0.5 + op.sharpen / 100 * 2.5 });
+        }
+        return adjusted;
+    }
+};
+
+// Edits up to the current history position (later ones have been undone)
+function getActiveEdits(photo) {
+    const edits = photo.edits || [];
+    const position = photo.editPosition === undefined ? edits.length : photo.editPosition;
+    return edits.slice(0, position);
+}
+
+function getEditHistory(photo) {
+    const edits = photo.edits || [];
+    return {
+        id: photo.id,
+        filename: photo.filename,
+        position: getActiveEdits(photo).length,
+        steps: edits.map((edit, index) => ({ step: index + 1, ...edit }))
+    };
+}
+
+// Keep a copy of the file as it was before its first edit
+function ensureOriginal(filename, filePath) {
+    const originalPath = getOriginalPath(filename);
+    if (!fs.existsSync(originalPath)) {
+        fs.copyFileSync(filePath, originalPath);
+    }
+}
+
+// Re-render a photo from its untouched original by replaying the active edits.
+// Intermediate steps stay as raw pixels so the image is only JPEG-encoded once.
+async function renderEdits(photo, filePath) {
+    const originalPath = getOriginalPath(photo.filename);
+    const activeEdits = getActiveEdits(photo);
+
+    if (activeEdits.length === 0) {
+        fs.copyFileSync(originalPath, filePath);
+    } else {
+        let current = await sharp(originalPath).rotate().raw().toBuffer({ resolveWithObject: true });
+        for (const edit of activeEdits) {
+            const operation = EDIT_OPERATIONS[edit.type];
+            if (!operation) {
+                throw new Error(`Unknown edit operation: ${edit.type}`);
+            }
+            const image = sharp(current.data, { raw: current.info });
+            const pipeline = await operation(image, edit, current.info, photo);
+            current = await pipeline.raw().toBuffer({ resolveWithObject: true });
+        }
+
+        await sharp(current.data, { raw: current.info })
+            .jpeg({ quality: 90, progressive: true })
+            .toFile(filePath + '.tmp');
+        fs.renameSync(filePath + '.tmp', filePath);
+    }
+
+    const metadata = await sharp(filePath).metadata();
+    photo.width = metadata.width;
+    photo.height = metadata.height;
+    photo.modifiedAt = new Date().toISOString();
+}
+
+// Record a new edit on top of the active history (dropping undone steps) and re-render
+async function applyEdit(photo, filePath, operation) {
+    ensureOriginal(photo.filename, filePath);
+    photo.edits = [...getActiveEdits(photo), { ...operation, appliedAt: new Date().toISOString() }];
+    photo.editPosition = photo.edits.length;
+    await renderEdits(photo, filePath);
+}
+
+// Rename or remove a photo's original and snapshot alongside the photo itself
+function renameEditFiles(oldFilename, newFilename) {
+    [[getOriginalPath(oldFilename), getOriginalPath(newFilename)],
+        [getSnapshotPath(oldFilename), getSnapshotPath(newFilename)]].forEach(([oldPath, newPath]) => {
+        if (fs.existsSync(oldPath)) {
+            fs.renameSync(oldPath, newPath);
+        }
+    });
+}
+
+function removeEditFiles(filename) {
+    [getOriginalPath(filename), getSnapshotPath(filename)].forEach(editPath => {
+        if (fs.existsSync(editPath)) {
+            fs.unlinkSync(editPath);
+        }
+    });
+}
+
+// Migrate single-level crop backups: the .backup becomes the original and the current
+// cropped file is frozen as a snapshot step, since the crop parameters were never recorded
+store.transaction(() => {
+    store.photos.forEach(photo => {
+        const filePath = path.join(photosDir, photo.album || DEFAULT_ALBUM, photo.filename);
+        const backupPath = filePath + '.backup';
+        if (!fs.existsSync(backupPath) || photo.edits) {
+            return;
+        }
+        try {
+            fs.renameSync(backupPath, getOriginalPath(photo.filename));
+            if (fs.existsSync(filePath)) {
+                fs.copyFileSync(filePath, getSnapshotPath(photo.filename));
+            }
+            photo.edits = [{ type: 'snapshot', appliedAt: fs.statSync(filePath).mtime.toISOString() }];
+            photo.editPosition = 1;
+        } catch (err) {
+            console.error(`Failed to migrate backup for ${photo.filename}:`, err);
+        }
+    });
+}).catch(err => console.error('Failed to save migrated crop backups:', err));
+
+// Near-duplicate threshold: maximum differing bits between two 64-bit perceptual hashes
+const DUPLICATE_HASH_DISTANCE = 8;
+
+function computeContentHash(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Difference hash (dHash): shrink to 9x8 greyscale and record, for each row, whether every
+// pixel is brighter than its right-hand neighbour. Survives re-encoding, resizing and renames.
+async function computePerceptualHash(input) {
+    const pixels = await sharp(input)
+        .rotate()
+        .greyscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    let hash = '';
+    for (let row = 0; row < 8; row++) {
+        let byte = 0;
+        for (let col = 0; col < 8; col++) {
+            const left = pixels[row * 9 + col];
+            const right = pixels[row * 9 + col + 1];
+            byte = (byte << 1) | (left > right ? 1 : 0);
+        }
+        hash += byte.toString(16).padStart(2, '0');
+    }
+    return hash;
+}
+
+function hammingDistance(hashA, hashB) {
+    let distance = 0;
+    for (let i = 0; i < hashA.length; i += 2) {
+        let diff = parseInt(hashA.substr(i, 2), 16) ^ parseInt(hashB.substr(i, 2), 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+    return distance;
+}
+
+// How closely two photos match: 0 for identical bytes, the hash distance for near-duplicates,
+// or null when they are not duplicates
+function getDuplicateDistance(photoA, photoB) {
+    if (photoA.contentHash && photoA.contentHash === photoB.contentHash) {
+        return 0;
+    }
+    if (photoA.perceptualHash && photoB.perceptualHash) {
+        const distance = hammingDistance(photoA.perceptualHash, photoB.perceptualHash);
+        if (distance <= DUPLICATE_HASH_DISTANCE) {
+            return distance;
+        }
+    }
+    return null;
+}
+
+function findDuplicateMatches(photo, candidates) {
+    return candidates
+        .filter(candidate => candidate !== photo)
+        .map(candidate => ({ candidate, distance: getDuplicateDistance(photo, candidate) }))
+        .filter(match => match.distance !== null)
+        .map(({ candidate, distance }) => ({
+            filename: candidate.filename,
+            album: candidate.album || DEFAULT_ALBUM,
+            title: candidate.title,
+            distance: distance,
+            exact: candidate.contentHash === photo.contentHash
+        }));
+}
+
+// Convert EXIF degrees/minutes/seconds plus hemisphere ref to signed decimal degrees
+function gpsToDecimal(dms, ref) {
+    if (!Array.isArray(dms) || dms.length < 3) {
+        return null;
+    }
+    const decimal = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    const signed = (ref === 'S' || ref === 'W') ? -decimal : decimal;
+    return Math.round(signed * 1e6) / 1e6;
+}
+
+// Read capture date, GPS position and camera details from an image's EXIF block.
+// Must run on the uploaded buffer, before rotate()/re-encoding touches the metadata.
+async function extractExif(buffer) {
+    const exifData = {};
+    let tags;
+    try {
+        const { exif } = await sharp(buffer).metadata();
+        if (!exif) {
+            return exifData;
+        }
+        tags = exifReader(exif);
+    } catch (err) {
+        console.error('Failed to read EXIF data:', err.message);
+        return exifData;
+    }
+
+    const image = tags.Image || {};
+    const photo = tags.Photo || {};
+    const gps = tags.GPSInfo || {};
+
+    // exif-reader parses the camera's local time as UTC, so the ISO string keeps the wall-clock value
+    const taken = photo.DateTimeOriginal || photo.DateTimeDigitized || image.DateTime;
+    if (taken instanceof Date && !isNaN(taken)) {
+        exifData.takenAt = taken.toISOString().split('.')[0];
+    }
+
+    const latitude = gpsToDecimal(gps.GPSLatitude, gps.GPSLatitudeRef);
+    const longitude = gpsToDecimal(gps.GPSLongitude, gps.GPSLongitudeRef);
+    if (latitude !== null && longitude !== null) {
+        exifData.latitude = latitude;
+        exifData.longitude = longitude;
+        if (typeof gps.GPSAltitude === 'number') {
+            exifData.altitude = gps.GPSAltitudeRef === 1 ? -gps.GPSAltitude : gps.GPSAltitude;
+        }
+    }
+
+    const iso = photo.ISOSpeedRatings || photo.PhotographicSensitivity;
+    const camera = {
+        make: image.Make,
+        model: image.Model,
+        lens: photo.LensModel || photo.LensMake,
+        exposureTime: photo.ExposureTime,
+        fNumber: photo.FNumber,
+        iso: Array.isArray(iso) ? iso[0] : iso,
+        focalLength: photo.FocalLength
+    };
+    Object.keys(camera).forEach(key => {
+        if (camera[key] === undefined || camera[key] === '') {
+            delete camera[key];
+        } else if (typeof camera[key] === 'string') {
+            camera[key] = camera[key].replace(/\0/g, '').trim();
+        }
+    });
+    if (Object.keys(camera).length > 0) {
+        exifData.camera = camera;
+    }
+
+    return exifData;
+}
+
 // Configure multer for file uploads (now using memory storage for processing)
 const storage = multer.memoryStorage();
 
 const upload = multer({ 
     storage: storage,
     fileFilter: function (req, file, cb) {
-        // Accept only image files
-        if (!file.mimetype.startsWith('image/')) {
-            return cb(new Error('Only image files are allowed!'), false);
+        // Accept only photos and videos
+        if (!isMediaFile(file.originalname, file.mimetype)) {
+            return cb(new Error('Only photos and videos are allowed!'), false);
         }
         cb(null, true);
     },
     limits: {
-        fileSize: 10 * 1024 * 1024 // 10MB limit
+        fileSize: 10 * 1024 * 1024 // 10MB limit, as files are held in memory; larger ones (most videos) go through /api/uploads
+    }
+});
+
+// Middleware
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// Accounts. Passwords are kept as salted scrypt hashes. Logging in starts a session: the browser
+// gets a random token in a cookie and only its hash is stored. Roles are admin (everything,
+// including managing users), contributor (uploads, and edits their own photos) and viewer
+// (read-only). Contributors and viewers can be limited to some albums; user.albums is null when
+// they can see all of them.
+const USER_ROLES = ['admin', 'contributor', 'viewer'];
+const SESSION_COOKIE = 'photofriend_session';
+const SESSION_DAYS = 30;
+
+function hashPassword(password, salt) {
+    return crypto.scryptSync(String(password), salt, 32).toString('hex');
+}
+
+const scryptAsync = promisify(crypto.scrypt);
+
+// Anyone can try a password, so checking one runs off the event loop
+async function checkPassword(password, salt, expectedHash) {
+    const hash = await scryptAsync(String(password), salt, 32);
+    return crypto.timingSafeEqual(hash, Buffer.from(expectedHash, 'hex'));
+}
+
+// Password attempts on logins and share links, keyed by what is being guessed and from where.
+// Every try counts until one succeeds, so requests sent in parallel can't get past the limit; the
+// count starts over after the window.
+const PASSWORD_ATTEMPTS = 5;
+const PASSWORD_ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+const passwordAttempts = new Map();
+
+// Count an attempt against every key; returns the seconds to wait when any has had too many
+function countPasswordAttempt(keys) {
+    const now = Date.now();
+    passwordAttempts.forEach((entry, key) => {
+        if (entry.resetAt <= now) {
+            passwordAttempts.delete(key);
+        }
+    });
+
+    const entries = keys.map(key => passwordAttempts.get(key) || { count: 0, resetAt: now + PASSWORD_ATTEMPT_WINDOW_MS });
+    const blocked = entries.filter(entry => entry.count >= PASSWORD_ATTEMPTS);
+    if (blocked.length > 0) {
+        return Math.ceil((Math.max(...blocked.map(entry => entry.resetAt)) - now) / 1000);
+    }
+    entries.forEach((entry, index) => {
+        entry.count++;
+        passwordAttempts.set(keys[index], entry);
+    });
+    return 0;
+}
+
+function sendTooManyAttempts(res, retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ error: `Too many wrong passwords. Try again in ${Math.ceil(retryAfter / 60)} minute(s).` });
+}
+
+function getUsers() {
+    return store.collection('users', []);
+}
+
+function findUser(id) {
+    return getUsers().find(user => user.id === id);
+}
+
+function findUserByName(username) {
+    const name = String(username || '').trim().toLowerCase();
+    return getUsers().find(user => user.username.toLowerCase() === name);
+}
+
+// A user as the API shows it, without the password hash
+function getPublicUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        albums: user.albums,
+        createdAt: user.createdAt
+    };
+}
+
+function getSessions() {
+    return store.collection('sessions', []);
+}
+
+function hashSessionToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function getCookie(req, name) {
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index !== -1 && part.slice(0, index).trim() === name) {
+            return decodeURIComponent(part.slice(index + 1).trim());
+        }
+    }
+    return undefined;
+}
+
+// Log the response's browser in as user
+async function startSession(res, user) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + SESSION_DAYS * 24 * 60 * 60 * 1000);
+    await store.transaction(() => {
+        const sessions = getSessions();
+        // Drop expired sessions while writing anyway
+        const now = Date.now();
+        for (let i = sessions.length - 1; i >= 0; i--) {
+            if (Date.parse(sessions[i].expiresAt) <= now) {
+                sessions.splice(i, 1);
+            }
+        }
+        sessions.push({ tokenHash: hashSessionToken(token), userId: user.id, expiresAt: expiresAt.toISOString() });
+    });
+    res.cookie(SESSION_COOKIE, token, { httpOnly: true, sameSite: 'lax', expires: expiresAt });
+}
+
+// End a user's sessions, except optionally the one making the request. Call inside a transaction.
+function endSessions(userId, keepTokenHash) {
+    const sessions = getSessions();
+    for (let i = sessions.length - 1; i >= 0; i--) {
+        if (sessions[i].userId === userId && sessions[i].tokenHash !== keepTokenHash) {
+            sessions.splice(i, 1);
+        }
+    }
+}
+
+// Albums a user may see: null for all, otherwise a list of names
+function parseAlbumGrants(albums) {
+    if (albums === null || albums === undefined) {
+        return null;
+    }
+    if (!Array.isArray(albums) || albums.some(album => typeof album !== 'string')) {
+        return undefined;
+    }
+    return [...new Set(albums.map(sanitizeAlbumName).filter(Boolean))];
+}
+
+function canViewAlbum(user, albumName) {
+    return user.role === 'admin' || user.albums === null || user.albums.includes(albumName);
+}
+
+// A photo is visible in any album the user can see, and to whoever uploaded it
+function canViewPhoto(user, photo) {
+    if (user.role === 'admin' || user.albums === null || photo.uploadedBy === user.id) {
+        return true;
+    }
+    return [photo.album || DEFAULT_ALBUM, ...getPhotoAlbums(photo)].some(album => user.albums.includes(album));
+}
+
+function canEditPhoto(user, photo) {
+    return user.role === 'admin' || (user.role === 'contributor' && photo.uploadedBy === user.id);
+}
+
+// Album names from a request become directory paths, so they must already be in sanitized form
+// and name an album that exists; new albums are only created through POST /api/albums
+function isExistingAlbum(name) {
+    return typeof name === 'string' && sanitizeAlbumName(name) === name && albumExists(name);
+}
+
+// Uploading into, moving into or adding to an album
+function canAddToAlbum(user, albumName) {
+    if (!isExistingAlbum(albumName)) {
+        return false;
+    }
+    return user.role === 'admin' || (user.role === 'contributor' && canViewAlbum(user, albumName));
+}
+
+function getVisiblePhotos(user) {
+    return store.photos.filter(photo => canViewPhoto(user, photo));
+}
+
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!roles.includes(req.user.role)) {
+            return res.status(403).json({ error: "You don't have permission to do that" });
+        }
+        next();
+    };
+}
+
+const requireAdmin = requireRole('admin');
+const requireContributor = requireRole('admin', 'contributor');
+
+// For routes that change req.photo
+function requirePhotoEdit(req, res, next) {
+    if (!canEditPhoto(req.user, req.photo)) {
+        return res.status(403).json({ error: 'Only an admin or the photo\'s uploader can change it' });
+    }
+    next();
+}
+
+// Edit routes work on still images; videos are kept as they were uploaded
+function requireStillImage(req, res, next) {
+    if (req.photo.mediaType === 'video') {
+        return res.status(400).json({ error: "Videos can't be edited" });
+    }
+    next();
+}
+
+// Who is making the request, from the session cookie
+app.use((req, res, next) => {
+    const token = getCookie(req, SESSION_COOKIE);
+    if (token) {
+        const tokenHash = hashSessionToken(token);
+        const session = getSessions().find(s => s.tokenHash === tokenHash && Date.parse(s.expiresAt) > Date.now());
+        if (session) {
+            req.user = findUser(session.userId);
+            req.sessionTokenHash = tokenHash;
+        }
+    }
+    next();
+});
+
+// Everything but the login page, the auth routes, bundled libraries and share links needs a
+// signed-in user. Pages send people to the login page; API calls get a 401.
+const PUBLIC_PATHS = [/^\/login$/, /^\/api\/auth\//, /^\/vendor\//, /^\/s\//];
+app.use((req, res, next) => {
+    if (req.user || PUBLIC_PATHS.some(pattern => pattern.test(req.path))) {
+        return next();
     }
+    if (req.method === 'GET' && (req.path === '/' || req.path === '/frame')) {
+        return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    res.status(401).json({ error: 'Please log in' });
+});
+
+app.get('/login', (req, res) => {
+    res.sendFile(path.join(__dirname, 'login.html'));
 });
 
-// Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Whether the first admin account still has to be created, and who is logged in
+app.get('/api/auth/status', (req, res) => {
+    res.json({
+        setupRequired: getUsers().length === 0,
+        user: req.user ? getPublicUser(req.user) : null
+    });
+});
+
+// Usernames are shown in the gallery, so keep them short and plain
+function validateUsername(username) {
+    const name = String(username || '').trim();
+    if (!/^[A-Za-z0-9._-]{1,32}$/.test(name)) {
+        return { error: 'Usernames are 1-32 letters, digits, dots, dashes or underscores' };
+    }
+    return { username: name };
+}
+
+const MIN_PASSWORD_LENGTH = 8;
+
+function createUser(username, password, role, albums) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    return {
+        id: crypto.randomBytes(6).toString('hex'),
+        username: username,
+        passwordHash: hashPassword(password, salt),
+        passwordSalt: salt,
+        role: role,
+        albums: role === 'admin' ? null : albums,
+        createdAt: new Date().toISOString()
+    };
+}
+
+// Create the first admin account. Only works while there are no users at all.
+app.post('/api/auth/setup', async (req, res) => {
+    const { username, error } = validateUsername(req.body.username);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (String(req.body.password || '').length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Passwords need at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    try {
+        const user = await store.transaction(() => {
+            if (getUsers().length > 0) {
+                return null;
+            }
+            const user = createUser(username, req.body.password, 'admin', null);
+            getUsers().push(user);
+            // Photos from before accounts existed belong to the first admin
+            store.photos.forEach(photo => {
+                photo.uploadedBy = photo.uploadedBy || user.id;
+            });
+            return user;
+        });
+        if (!user) {
+            return res.status(409).json({ error: 'PhotoFriend is already set up; log in instead' });
+        }
+
+        await startSession(res, user);
+        res.json({ success: true, user: getPublicUser(user) });
+    } catch (error) {
+        console.error('Error creating the first account:', error);
+        res.status(500).json({ error: 'Failed to create account' });
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    // Limited per address and per username, so neither one guesser nor many can keep trying
+    const attemptKeys = [`login-ip:${req.ip}`, `login-user:${String(req.body.username || '').trim().toLowerCase()}`];
+    const retryAfter = countPasswordAttempt(attemptKeys);
+    if (retryAfter > 0) {
+        return sendTooManyAttempts(res, retryAfter);
+    }
+
+    try {
+        const user = findUserByName(req.body.username);
+        // Hash even for unknown users so the response time doesn't reveal which usernames exist
+        const valid = user
+            ? await checkPassword(req.body.password || '', user.passwordSalt, user.passwordHash)
+            : (await checkPassword(req.body.password || '', 'no-such-user', '0'.repeat(64)), false);
+        if (!valid) {
+            return res.status(401).json({ error: 'Wrong username or password' });
+        }
+        attemptKeys.forEach(key => passwordAttempts.delete(key));
+
+        await startSession(res, user);
+        res.json({ success: true, user: getPublicUser(user) });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({ error: 'Failed to log in' });
+    }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        if (req.sessionTokenHash) {
+            await store.transaction(() => {
+                const sessions = getSessions();
+                const index = sessions.findIndex(session => session.tokenHash === req.sessionTokenHash);
+                if (index !== -1) {
+                    sessions.splice(index, 1);
+                }
+            });
+        }
+        res.clearCookie(SESSION_COOKIE);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+});
+
+// Change your own password; other sessions of yours are logged out
+app.post('/api/auth/password', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Please log in' });
+    }
+    const { currentPassword, newPassword } = req.body;
+    if (!await checkPassword(currentPassword || '', req.user.passwordSalt, req.user.passwordHash)) {
+        return res.status(403).json({ error: 'Current password is wrong' });
+    }
+    if (String(newPassword || '').length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Passwords need at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    try {
+        await store.transaction(() => {
+            const user = findUser(req.user.id);
+            user.passwordSalt = crypto.randomBytes(16).toString('hex');
+            user.passwordHash = hashPassword(newPassword, user.passwordSalt);
+            endSessions(user.id, req.sessionTokenHash);
+        });
+        res.json({ success: true, message: 'Password changed' });
+    } catch (error) {
+        console.error('Error changing password:', error);
+        res.status(500).json({ error: 'Failed to change password' });
+    }
+});
+
+// List users. Admins get the full list; everyone else only names, for "uploaded by".
+app.get('/api/users', (req, res) => {
+    if (req.user.role === 'admin') {
+        return res.json(getUsers().map(getPublicUser));
+    }
+    res.json(getUsers().map(user => ({ id: user.id, username: user.username })));
+});
+
+// Role and album grants from a request body; album grants don't apply to admins
+function parseUserAccess(body, existing) {
+    const role = body.role === undefined && existing ? existing.role : body.role;
+    if (!USER_ROLES.includes(role)) {
+        return { error: `Role must be one of: ${USER_ROLES.join(', ')}` };
+    }
+    const albums = body.albums === undefined && existing ? existing.albums : parseAlbumGrants(body.albums);
+    if (albums === undefined) {
+        return { error: 'albums must be null (all albums) or a list of album names' };
+    }
+    return { role: role, albums: role === 'admin' ? null : albums };
+}
+
+app.post('/api/users', requireAdmin, async (req, res) => {
+    const { username, error } = validateUsername(req.body.username);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (String(req.body.password || '').length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Passwords need at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    const access = parseUserAccess(req.body);
+    if (access.error) {
+        return res.status(400).json({ error: access.error });
+    }
+
+    try {
+        const user = await store.transaction(() => {
+            if (findUserByName(username)) {
+                return null;
+            }
+            const user = createUser(username, req.body.password, access.role, access.albums);
+            getUsers().push(user);
+            return user;
+        });
+        if (!user) {
+            return res.status(409).json({ error: 'That username is taken' });
+        }
+
+        res.json({ success: true, message: `Created ${user.username}`, user: getPublicUser(user) });
+    } catch (error) {
+        console.error('Error creating user:', error);
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+// Change a user's role, album grants or password. A new password logs them out everywhere.
+app.patch('/api/users/:id', requireAdmin, async (req, res) => {
+    const target = findUser(req.params.id);
+    if (!target) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    const access = parseUserAccess(req.body, target);
+    if (access.error) {
+        return res.status(400).json({ error: access.error });
+    }
+    if (req.body.password !== undefined && String(req.body.password).length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Passwords need at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    try {
+        const result = await store.transaction(() => {
+            const user = findUser(req.params.id);
+            const admins = getUsers().filter(u => u.role === 'admin');
+            if (user.role === 'admin' && access.role !== 'admin' && admins.length === 1) {
+                return { error: 'There has to be at least one admin' };
+            }
+            user.role = access.role;
+            user.albums = access.albums;
+            if (req.body.password !== undefined) {
+                user.passwordSalt = crypto.randomBytes(16).toString('hex');
+                user.passwordHash = hashPassword(req.body.password, user.passwordSalt);
+                endSessions(user.id, user.id === req.user.id ? req.sessionTokenHash : null);
+            }
+            return { user: user };
+        });
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        res.json({ success: true, message: `Updated ${result.user.username}`, user: getPublicUser(result.user) });
+    } catch (error) {
+        console.error('Error updating user:', error);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+// Delete a user and end their sessions. Their photos stay, still marked with their ID.
+app.delete('/api/users/:id', requireAdmin, async (req, res) => {
+    if (req.params.id === req.user.id) {
+        return res.status(400).json({ error: "You can't delete your own account" });
+    }
+
+    try {
+        const deleted = await store.transaction(() => {
+            const users = getUsers();
+            const index = users.findIndex(user => user.id === req.params.id);
+            if (index === -1) {
+                return null;
+            }
+            endSessions(req.params.id);
+            return users.splice(index, 1)[0];
+        });
+        if (!deleted) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({ success: true, message: `Deleted ${deleted.username}` });
+    } catch (error) {
+        console.error('Error deleting user:', error);
+        res.status(500).json({ error: 'Failed to delete user' });
+    }
+});
+
+// Photo files are served only to users who can see the photo. Anything else under photos/
+// (metadata, caches, originals) is never served directly.
+app.use('/photos', (req, res, next) => {
+    const segments = req.path.split('/').filter(Boolean).map(segment => decodeURIComponent(segment));
+    if (segments.length !== 2 || segments[0].startsWith('.')) {
+        return res.status(404).send('Not found');
+    }
+    const filename = segments[1];
+    const photo = store.photos.find(p => p.filename === filename) ||
+        store.photos.find(p => (p.previousFilenames || []).includes(filename));
+    if (!photo || !canViewPhoto(req.user, photo)) {
+        return res.status(404).send('Not found');
+    }
+    next();
+});
+
+// Serve static files with album support
+app.use('/photos', express.static(photosDir));
+
+// Old file URLs (from before a rename or move) redirect to where the photo lives now. The
+// redirect is temporary because the photo may be moved again.
+app.get('/photos/:album/:filename', (req, res, next) => {
+    const { filename } = req.params;
+    const photo = store.photos.find(p => p.filename === filename) ||
+        store.photos.find(p => (p.previousFilenames || []).includes(filename));
+    if (!photo || (photo.filename === filename && (photo.album || DEFAULT_ALBUM) === req.params.album)) {
+        return next();
+    }
+    res.redirect(`/photos/${encodeURIComponent(photo.album || DEFAULT_ALBUM)}/${encodeURIComponent(photo.filename)}`);
+});
+
+// Serve the main HTML file
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'photoframe.html'));
+});
+
+// Serve the fullscreen photo-frame slideshow (options are read from the query string)
+app.get('/frame', (req, res) => {
+    res.sendFile(path.join(__dirname, 'frame.html'));
+});
+
+function sanitizeTitle(title) {
+    return (title || 'untitled').toLowerCase().replace(/[^a-z0-9]/g, '-');
+}
+
+// Filenames follow "date_title_timestamp.ext". The timestamp from the current filename is kept,
+// so a photo's name stays unique while its date and title change.
+// Dates are YYYY-MM-DD. They start every filename, so nothing else may get through.
+function isValidDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+// The date a new file is named after: the one given, else the day it was taken, else today
+function getFileDate(date, takenAt) {
+    if (isValidDate(date)) {
+        return date;
+    }
+    const takenDate = typeof takenAt === 'string' ? takenAt.split('T')[0] : '';
+    return isValidDate(takenDate) ? takenDate : new Date().toISOString().split('T')[0];
+}
+
+function getTemplatedFilename(photo) {
+    const stamp = photo.filename.match(/_(\d+)\.[^.]+$/);
+    const timestamp = stamp ? stamp[1] : Date.now();
+    const extension = path.extname(photo.filename) || '.jpg';
+    return `${photo.date || 'undated'}_${sanitizeTitle(photo.title)}_${timestamp}${extension}`;
+}
+
+// Bring a photo's file in line with its album and templated filename after a metadata change,
+// carrying its renditions and edit files along. Old filenames are kept so their URLs can redirect.
+function syncPhotoFile(photo, previousAlbum) {
+    const oldFilename = photo.filename;
+    const oldPath = path.join(photosDir, previousAlbum || DEFAULT_ALBUM, oldFilename);
+    const newFilename = getTemplatedFilename(photo);
+    const albumDir = path.join(photosDir, photo.album || DEFAULT_ALBUM);
+    const newPath = path.join(albumDir, newFilename);
+
+    if (newPath === oldPath) {
+        return;
+    }
+    if (fs.existsSync(newPath)) {
+        throw new Error(`${newFilename} already exists in ${photo.album}`);
+    }
+
+    if (!fs.existsSync(albumDir)) {
+        fs.mkdirSync(albumDir, { recursive: true });
+    }
+    if (fs.existsSync(oldPath)) {
+        fs.renameSync(oldPath, newPath);
+    }
+
+    if (newFilename !== oldFilename) {
+        removeRenditions(oldFilename);
+        renameEditFiles(oldFilename, newFilename);
+        photo.previousFilenames = [...(photo.previousFilenames || []), oldFilename]
+            .filter((name, index, names) => name !== newFilename && names.indexOf(name) === index);
+        photo.filename = newFilename;
+    }
+}
+
+// Image types accepted by uploads and imports, by extension (browsers often send RAW files with no
+// MIME type). RAW files can't be decoded directly; the JPEG preview the camera embeds is used instead.
+const IMAGE_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif',
+    '.tif': 'image/tiff',
+    '.tiff': 'image/tiff',
+    '.heic': 'image/heic',
+    '.heif': 'image/heif',
+    '.avif': 'image/avif',
+    '.dng': 'image/x-adobe-dng',
+    '.cr2': 'image/x-canon-cr2',
+    '.cr3': 'image/x-canon-cr3',
+    '.nef': 'image/x-nikon-nef',
+    '.arw': 'image/x-sony-arw',
+    '.raf': 'image/x-fuji-raf',
+    '.orf': 'image/x-olympus-orf',
+    '.rw2': 'image/x-panasonic-rw2',
+    '.pef': 'image/x-pentax-pef',
+    '.srw': 'image/x-samsung-srw'
+};
+const RAW_EXTENSIONS = ['.dng', '.cr2', '.cr3', '.nef', '.arw', '.raf', '.orf', '.rw2', '.pef', '.srw'];
+
+// Video types accepted by uploads, by extension. Videos are kept as uploaded; browsers play MP4,
+// WebM and most MOV files inline, and the rest can be downloaded.
+const VIDEO_TYPES = {
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/x-m4v',
+    '.mov': 'video/quicktime',
+    '.webm': 'video/webm',
+    '.3gp': 'video/3gpp',
+    '.avi': 'video/x-msvideo',
+    '.mkv': 'video/x-matroska'
+};
+
+function isVideoFile(name) {
+    return Boolean(VIDEO_TYPES[path.extname(name).toLowerCase()]);
+}
+
+// Images are recognised by MIME type too, since the server can sniff them; videos need a known extension
+function isMediaFile(name, mimetype) {
+    return String(mimetype || '').startsWith('image/') || Boolean(getMediaMimetype(name));
+}
+
+// MIME type of a photo or video by its extension, or undefined for other files
+function getMediaMimetype(name) {
+    const extension = path.extname(name).toLowerCase();
+    return IMAGE_TYPES[extension] || VIDEO_TYPES[extension];
+}
+
+// Untouched uploads, byte for byte, named <photo id><original extension>. The file in the album
+// folder is the JPEG rendering that the gallery, edits and exports work from.
+const sourcesDir = path.join(photosDir, '.sources');
+if (!fs.existsSync(sourcesDir)) {
+    fs.mkdirSync(sourcesDir);
+}
+
+// Camera RAW files carry one or more JPEG previews; use the largest. JPEG start-of-image markers
+// can occur by chance in the sensor data, so every candidate is checked by reading its header.
+const JPEG_START = Buffer.from([0xff, 0xd8, 0xff]);
+async function extractRawPreview(buffer) {
+    let best = null;
+    for (let start = buffer.indexOf(JPEG_START); start !== -1; start = buffer.indexOf(JPEG_START, start + 3)) {
+        try {
+            const { width, height, orientation } = await sharp(buffer.subarray(start)).metadata();
+            if (!best || width * height > best.width * best.height) {
+                best = { start, width, height, orientation };
+            }
+        } catch (err) {
+            // Not a real JPEG (or one libjpeg can't read, like lossless raw data)
+        }
+    }
+    return best && { ...best, buffer: buffer.subarray(best.start) };
+}
+
+// Clockwise rotation for the EXIF orientations a camera writes (mirrored ones don't occur)
+const ORIENTATION_ANGLES = { 3: 180, 6: 90, 8: 270 };
+
+// Open an uploaded file as an upright sharp pipeline, along with the format it was in (direct when
+// libvips decoded the file itself) and where to look for EXIF. libvips reads JPEG, PNG, WebP, GIF, TIFF and AVIF; HEIC as
+// iPhones save it is HEVC-coded, which goes through libheif's WebAssembly build instead. Throws
+// for anything that can't be shown.
+async function openImage(buffer, originalname) {
+    const extension = path.extname(originalname || '').toLowerCase();
+    let metadata = null;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (err) {
+        // Not something libvips recognises; RAW and HEIC get another try below
+    }
+
+    if (RAW_EXTENSIONS.includes(extension)) {
+        const preview = await extractRawPreview(buffer);
+        if (!preview) {
+            throw new Error('No preview image found in this RAW file');
+        }
+        // The preview usually lacks an orientation of its own; the RAW's main IFD has it
+        const orientation = preview.orientation || (metadata && metadata.orientation);
+        const image = preview.orientation
+            ? sharp(preview.buffer).rotate()
+            : sharp(preview.buffer).rotate(ORIENTATION_ANGLES[orientation] || 0);
+        // RAW files keep EXIF in their own structures, which libvips may not read; the preview often has a copy
+        return {
+            image: image,
+            format: extension.slice(1),
+            exifSources: metadata ? [buffer, preview.buffer] : [preview.buffer]
+        };
+    }
+
+    if (!metadata || (metadata.format === 'heif' && metadata.compression === 'hevc')) {
+        let decoded;
+        try {
+            decoded = await decodeHeic({ buffer: buffer });
+        } catch (err) {
+            throw new Error('Unsupported image format');
+        }
+        // libheif has already applied the HEIC's own rotation and mirroring
+        const image = sharp(Buffer.from(decoded.data.buffer), {
+            raw: { width: decoded.width, height: decoded.height, channels: 4 }
+        });
+        return { image: image, format: 'heic', exifSources: metadata ? [buffer] : [] };
+    }
+
+    const format = metadata.format === 'heif' ? 'avif' : metadata.format;
+    return { image: sharp(buffer).rotate(), format: format, direct: true, exifSources: [buffer] };
+}
+
+// Files ingest has written to album folders whose records aren't in the library yet (imports
+// record theirs in batches), and Live Photo clips waiting to move to .live. The library scan
+// leaves them alone rather than report them as new.
+const ingestingFiles = new Set();
+
+// Size, length, capture time and place of a video, read with ffprobe. Phones record the capture
+// time in local time with an offset (Apple) or in UTC (creation_time); either way its clock
+// reading is kept, like EXIF dates. Throws for files with no video stream.
+async function probeVideo(videoPath) {
+    const { stdout } = await execFileAsync(ffprobePath, [
+        '-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', videoPath
+    ]);
+    const probe = JSON.parse(stdout);
+    const stream = (probe.streams || []).find(s => s.codec_type === 'video');
+    if (!stream) {
+        throw new Error('No video stream found');
+    }
+
+    // Phones film sideways and record how to turn the picture
+    const displayMatrix = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+    const rotation = Number((stream.tags && stream.tags.rotate) || (displayMatrix && displayMatrix.rotation) || 0);
+    const sideways = Math.abs(rotation) % 180 === 90;
+    const videoData = {
+        width: sideways ? stream.height : stream.width,
+        height: sideways ? stream.width : stream.height,
+        duration: Math.round(Number(probe.format.duration || stream.duration || 0) * 10) / 10
+    };
+
+    const tags = probe.format.tags || {};
+    const created = tags['com.apple.quicktime.creationdate'] || tags.creation_time || '';
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/.test(created) && !created.startsWith('1970-')) {
+        videoData.takenAt = created.slice(0, 19);
+    }
+
+    // ISO 6709, e.g. +48.8584+002.2945+035.000/
+    const location = (tags['com.apple.quicktime.location.ISO6709'] || tags.location || '').match(/^([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)/);
+    if (location) {
+        videoData.latitude = Number(location[1]);
+        videoData.longitude = Number(location[2]);
+    }
+
+    return videoData;
+}
+
+// The video counterpart of ingestPhoto: the file goes into the album folder as uploaded, and a
+// poster frame stands in for it wherever an image is needed (thumbnails, the frame, shares).
+// Throws, having written nothing, for files ffprobe can't read.
+async function ingestVideo(file, fields) {
+    const { title, date, location, tags, description, album } = fields;
+    const extension = path.extname(file.originalname).toLowerCase();
+    const id = createPhotoId();
+    const fileAlbum = album || DEFAULT_ALBUM;
+
+    // Ensure album directory exists
+    const albumDir = path.join(photosDir, fileAlbum);
+    if (!fs.existsSync(albumDir)) {
+        fs.mkdirSync(albumDir, { recursive: true });
+    }
+
+    // ffprobe reads from disk, so the video lands under a hidden name until it's been checked
+    const pendingPath = path.join(albumDir, `.${id}${extension}`);
+    fs.writeFileSync(pendingPath, file.buffer);
+    let videoData;
+    try {
+        videoData = await probeVideo(pendingPath);
+    } catch (probeError) {
+        console.error('Error reading video:', file.originalname, probeError.message);
+        fs.unlinkSync(pendingPath);
+        throw new Error('Could not read this video');
+    }
+
+    // Sidecar values (imports) override what was read from the file itself
+    ['takenAt', 'latitude', 'longitude'].forEach(key => {
+        if (fields[key] !== undefined) {
+            videoData[key] = fields[key];
+        }
+    });
+    const videoLocation = videoData.latitude !== undefined
+        ? `${videoData.latitude}, ${videoData.longitude}`
+        : '';
+
+    const fileDate = getFileDate(date, videoData.takenAt);
+    const sanitizedTitle = sanitizeTitle(title || 'untitled');
+    let timestamp = Date.now();
+    while (fs.existsSync(path.join(albumDir, `${fileDate}_${sanitizedTitle}_${timestamp}${extension}`))) {
+        timestamp++;
+    }
+    const filename = `${fileDate}_${sanitizedTitle}_${timestamp}${extension}`;
+    const filepath = path.join(albumDir, filename);
+    ingestingFiles.add(filepath);
+    fs.renameSync(pendingPath, filepath);
+
+    // The poster frame is needed for every thumbnail, so a video without one isn't much use
+    try {
+        await ensurePoster(filepath, filename);
+    } catch (posterError) {
+        console.error('Error extracting poster frame:', file.originalname, posterError.message);
+        fs.unlinkSync(filepath);
+        ingestingFiles.delete(filepath);
+        throw new Error('Could not read this video');
+    }
+    await generateRenditions(filepath, filename);
+
+    return {
+        id: id,
+        filename: filename,
+        originalName: file.originalname,
+        title: title || 'Untitled',
+        date: fileDate,
+        location: location || videoLocation,
+        tags: normalizeTags(tags),
+        description: description || '',
+        album: fileAlbum,
+        albums: [fileAlbum],
+        uploadedBy: fields.uploadedBy || null,
+        uploadedAt: new Date().toISOString(),
+        size: file.size,
+        format: extension.slice(1),
+        mediaType: 'video',
+        mimetype: VIDEO_TYPES[extension],
+        ...videoData,
+        contentHash: computeContentHash(file.buffer)
+    };
+}
+
+// Run one image through the standard pipeline (EXIF, hashes, JPEG rendering, renditions) and
+// return its metadata record. The uploaded bytes are archived as they are. Explicit fields win;
+// EXIF fills in whatever they leave blank. Throws, having written nothing, for files that can't be
+// decoded. Videos are handed to ingestVideo.
+async function ingestPhoto(file, fields) {
+    if (isVideoFile(file.originalname)) {
+        return ingestVideo(file, fields);
+    }
+    const { title, date, location, tags, description, album } = fields;
+    const opened = await openImage(file.buffer, file.originalname);
+    const exifData = {};
+    for (const exifSource of opened.exifSources) {
+        Object.assign(exifData, { ...await extractExif(exifSource), ...exifData });
+        if (exifData.takenAt) {
+            break;
+        }
+    }
+
+    // Hash the bytes as received, so re-adding the same file matches exactly (photos added before
+    // hashing existed were hashed from their stored JPEG; they match by perceptual hash instead)
+    const hashes = { contentHash: computeContentHash(file.buffer) };
+
+    // Sidecar values (imports) override what was read from the file itself
+    ['takenAt', 'latitude', 'longitude'].forEach(key => {
+        if (fields[key] !== undefined) {
+            exifData[key] = fields[key];
+        }
+    });
+    const exifLocation = exifData.latitude !== undefined
+        ? `${exifData.latitude}, ${exifData.longitude}`
+        : '';
+
+    // Generate filename based on metadata
+    const fileTitle = title || 'untitled';
+    const fileDate = getFileDate(date, exifData.takenAt);
+    const fileLocation = location || exifLocation;
+    const fileAlbum = album || DEFAULT_ALBUM;
+    const sanitizedTitle = sanitizeTitle(fileTitle);
+    let timestamp = Date.now();
+
+    // Ensure album directory exists
+    const albumDir = path.join(photosDir, fileAlbum);
+    if (!fs.existsSync(albumDir)) {
+        fs.mkdirSync(albumDir, { recursive: true });
+    }
+
+    // Imports can process several same-titled photos within one millisecond
+    while (fs.existsSync(path.join(albumDir, `${fileDate}_${sanitizedTitle}_${timestamp}.jpg`))) {
+        timestamp++;
+    }
+    const filename = `${fileDate}_${sanitizedTitle}_${timestamp}.jpg`;
+    const filepath = path.join(albumDir, filename);
+
+    const photoData = {
+        id: createPhotoId(),
+        filename: filename,
+        originalName: file.originalname,
+        title: title || 'Untitled',
+        date: fileDate,
+        location: fileLocation,
+        tags: normalizeTags(tags),
+        description: description || '',
+        album: fileAlbum,
+        albums: [fileAlbum],
+        uploadedBy: fields.uploadedBy || null,
+        uploadedAt: new Date().toISOString(),
+        size: file.size,
+        format: opened.format
+    };
+
+    ingestingFiles.add(filepath);
+    try {
+        // Transparent areas (PNG screenshots, HEIC cut-outs) become white rather than black; the
+        // archived original keeps them
+        const info = await opened.image
+            .flatten({ background: '#ffffff' })
+            .jpeg({ 
+                quality: 90, 
+                progressive: true,
+                force: true // Force JPEG output
+            })
+            .withMetadata() // Preserve metadata but fix orientation
+            .toFile(filepath);
+
+        photoData.sourceFile = photoData.id + (path.extname(file.originalname).toLowerCase() || `.${opened.format}`);
+        fs.writeFileSync(path.join(sourcesDir, photoData.sourceFile), file.buffer);
+
+        await generateRenditions(filepath, filename);
+
+        Object.assign(photoData, {
+            width: info.width,
+            height: info.height,
+            mimetype: 'image/jpeg'
+        });
+    } catch (processError) {
+        console.error('Error processing image:', file.originalname, processError);
+        [filepath, photoData.sourceFile && path.join(sourcesDir, photoData.sourceFile)].forEach(leftover => {
+            if (leftover && fs.existsSync(leftover)) {
+                fs.unlinkSync(leftover);
+            }
+        });
+        ingestingFiles.delete(filepath);
+        throw new Error('Could not convert this image');
+    }
+
+    // Formats libvips can't read directly are hashed from their JPEG rendering
+    try {
+        hashes.perceptualHash = await computePerceptualHash(opened.direct ? file.buffer : filepath);
+    } catch (hashError) {
+        console.error('Failed to compute perceptual hash:', file.originalname, hashError.message);
+    }
+
+    return { ...photoData, ...exifData, ...hashes };
+}
+
+// Live Photos: a still and a short clip of the same name, uploaded by the same person within a
+// day of each other, are one item, whichever arrives first. The clip moves to
+// photos/.live/<photo id><ext> and the still records it as liveVideo.
+const liveDir = path.join(photosDir, '.live');
+if (!fs.existsSync(liveDir)) {
+    fs.mkdirSync(liveDir);
+}
+
+const LIVE_PHOTO_MAX_SECONDS = 5;
+const LIVE_PHOTO_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+function getLiveVideoPath(photo) {
+    return path.join(liveDir, photo.liveVideo.file);
+}
+
+function isLivePair(still, clip) {
+    const baseName = record => path.basename(record.originalName || '', path.extname(record.originalName || '')).toLowerCase();
+    return still.mediaType !== 'video' && !still.liveVideo &&
+        clip.mediaType === 'video' && clip.duration <= LIVE_PHOTO_MAX_SECONDS &&
+        still.uploadedBy === clip.uploadedBy &&
+        baseName(still) !== '' && baseName(still) === baseName(clip) &&
+        Math.abs(Date.parse(still.uploadedAt) - Date.parse(clip.uploadedAt)) <= LIVE_PHOTO_WINDOW_MS;
+}
+
+// Record a clip (still in its album folder) on the still it belongs to, and plan its move into
+// .live, which recordIngested makes once the library is saved
+function attachLiveVideo(still, clip, clipMoves) {
+    const file = still.id + path.extname(clip.filename).toLowerCase();
+    const from = getPhotoPath(clip);
+    ingestingFiles.add(from);
+    clipMoves.push({ from: from, to: path.join(liveDir, file), filename: clip.filename });
+    still.liveVideo = {
+        file: file,
+        originalName: clip.originalName,
+        mimetype: clip.mimetype,
+        duration: clip.duration,
+        size: clip.size
+    };
+}
+
+// Add newly ingested photos and videos to the library, pairing Live Photos along the way. Returns
+// the library item each record became: itself, or the still a clip was attached to (call inside
+// a transaction).
+function addToLibrary(records, clipMoves) {
+    return records.map(record => {
+        const still = store.photos.find(photo => isLivePair(photo, record));
+        if (still) {
+            attachLiveVideo(still, record, clipMoves);
+            return still;
+        }
+
+        const clipIndex = store.photos.findIndex(photo => isLivePair(record, photo));
+        if (clipIndex !== -1) {
+            const clip = store.photos[clipIndex];
+            store.photos.splice(clipIndex, 1);
+            store.collection('albums', []).forEach(album => {
+                album.order = album.order.filter(id => id !== clip.id);
+            });
+            attachLiveVideo(record, clip, clipMoves);
+        }
+        store.photos.push(record);
+        return record;
+    });
+}
+
+// Record newly ingested photos and videos, then move the clips of Live Photos that were paired.
+// Files only move once the library is saved, so a failed write leaves every clip where its
+// restored record says it is. Returns the library item each record became.
+async function recordIngested(records) {
+    const clipMoves = [];
+    try {
+        const items = await store.transaction(() => addToLibrary(records, clipMoves));
+        clipMoves.forEach(move => {
+            try {
+                fs.renameSync(move.from, move.to);
+                removeRenditions(move.filename);
+            } catch (err) {
+                console.error(`Failed to move Live Photo clip ${move.filename}:`, err.message);
+            }
+        });
+        return items;
+    } finally {
+        // From here on the library scan sees these files as they are
+        records.forEach(record => ingestingFiles.delete(getPhotoPath(record)));
+        clipMoves.forEach(move => ingestingFiles.delete(move.from));
+    }
+}
+
+// Upload endpoint
+app.post('/upload', requireContributor, upload.array('photos', 10), async (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: 'No files uploaded' });
+        }
+        if (req.body.date && !isValidDate(req.body.date)) {
+            return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+        }
+        const album = req.body.album || DEFAULT_ALBUM;
+        if (!isExistingAlbum(album)) {
+            return res.status(404).json({ error: 'Album not found' });
+        }
+        if (!canAddToAlbum(req.user, album)) {
+            return res.status(403).json({ error: "You can't upload to that album" });
+        }
+
+        const processedFiles = [];
+        const duplicates = [];
+        const failures = [];
+
+        // Process each uploaded file, then record the whole batch at once
+        const newPhotos = [];
+        for (const file of req.files) {
+            try {
+                newPhotos.push(await ingestPhoto(file, { ...req.body, album: album, uploadedBy: req.user.id }));
+            } catch (err) {
+                failures.push({ originalName: file.originalname, error: err.message });
+            }
+        }
+        const added = await recordIngested(newPhotos);
+        // The clip of a Live Photo shows up as its still
+        added.forEach(photo => {
+            if (!processedFiles.includes(photo.filename)) {
+                processedFiles.push(photo.filename);
+            }
+        });
+
+        // Warn about photos that already exist in the library (or earlier in this batch)
+        store.photos.filter(photo => processedFiles.includes(photo.filename)).forEach(photo => {
+            const matches = findDuplicateMatches(photo, getVisiblePhotos(req.user))
+                .filter(match => !processedFiles.includes(match.filename) || processedFiles.indexOf(match.filename) < processedFiles.indexOf(photo.filename));
+            if (matches.length > 0) {
+                duplicates.push({ filename: photo.filename, originalName: photo.originalName, matches: matches });
+            }
+        });
+
+        res.json({ 
+            success: true, 
+            message: `${processedFiles.length} photo(s) uploaded successfully`,
+            files: processedFiles,
+            duplicates: duplicates,
+            failures: failures
+        });
+    } catch (error) {
+        console.error('Upload error:', error);
+        res.status(500).json({ error: 'Failed to upload photos' });
+    }
+});
+
+// Chunked uploads, for large files and unreliable connections. POST /api/uploads starts one and
+// returns its ID; the file is then sent in pieces with PUT /api/uploads/:id?offset=<bytes>, each
+// appended straight to a file under photos/.uploads. After a dropped connection, GET
+// /api/uploads/:id says how much arrived, so the client carries on from there. POST
+// /api/uploads/:id/complete queues the file for processing, one at a time in the background,
+// and the same GET reports when it's done (with the new photo and any duplicates) or failed.
+const uploadsDir = path.join(photosDir, '.uploads');
+fs.rmSync(uploadsDir, { recursive: true, force: true });
+fs.mkdirSync(uploadsDir);
+
+const MAX_UPLOAD_SIZE = 500 * 1024 * 1024;
+// Unfinished uploads are dropped after a day without progress
+const UPLOAD_IDLE_HOURS = 24;
+
+const chunkedUploads = new Map();
+let uploadQueue = Promise.resolve();
+
+// What the client sees of an upload
+function getUploadStatus(upload) {
+    return {
+        id: upload.id,
+        name: upload.name,
+        size: upload.size,
+        received: upload.received,
+        status: upload.status,
+        error: upload.error,
+        photo: upload.photo,
+        duplicates: upload.duplicates
+    };
+}
+
+// Remove an upload's temp file and forget it
+function discardUpload(upload) {
+    chunkedUploads.delete(upload.id);
+    fs.promises.unlink(upload.path).catch(() => {});
+}
+
+async function processUpload(upload, user) {
+    upload.status = 'processing';
+    try {
+        const buffer = await fs.promises.readFile(upload.path);
+        const photo = await ingestPhoto({
+            buffer: buffer,
+            originalname: upload.name,
+            mimetype: upload.type,
+            size: buffer.length
+        }, { ...upload.fields, uploadedBy: user.id });
+        upload.photo = (await recordIngested([photo]))[0];
+        upload.duplicates = findDuplicateMatches(upload.photo, getVisiblePhotos(user).filter(p => p.id !== upload.photo.id));
+        upload.status = 'done';
+    } catch (err) {
+        console.error(`Failed to process upload ${upload.name}:`, err.message);
+        upload.status = 'failed';
+        upload.error = `Could not read ${upload.name} as a photo or video`;
+    } finally {
+        upload.updatedAt = Date.now();
+        fs.promises.unlink(upload.path).catch(() => {});
+    }
+}
+
+// Start an upload: { name, size, type, fields: { title, date, location, tags, description, album } }
+app.post('/api/uploads', requireContributor, (req, res) => {
+    const { name, type } = req.body;
+    const size = Number(req.body.size);
+    const fields = req.body.fields || {};
+
+    if (!name || typeof name !== 'string') {
+        return res.status(400).json({ error: 'A file name is required' });
+    }
+    if (!isMediaFile(name, type)) {
+        return res.status(400).json({ error: 'Only photos and videos are allowed!' });
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+        return res.status(400).json({ error: 'size must be the file size in bytes' });
+    }
+    if (size > MAX_UPLOAD_SIZE) {
+        return res.status(413).json({ error: `Files can be up to ${MAX_UPLOAD_SIZE / 1024 / 1024} MB` });
+    }
+    if (fields.date && !isValidDate(fields.date)) {
+        return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+    const album = fields.album || DEFAULT_ALBUM;
+    if (!isExistingAlbum(album)) {
+        return res.status(404).json({ error: 'Album not found' });
+    }
+    if (!canAddToAlbum(req.user, album)) {
+        return res.status(403).json({ error: "You can't upload to that album" });
+    }
+
+    const id = crypto.randomBytes(12).toString('hex');
+    const upload = {
+        id: id,
+        userId: req.user.id,
+        name: path.basename(name),
+        type: type || getMediaMimetype(name),
+        size: size,
+        fields: {
+            title: fields.title,
+            date: fields.date,
+            location: fields.location,
+            tags: fields.tags,
+            description: fields.description,
+            album: album
+        },
+        path: path.join(uploadsDir, id),
+        received: 0,
+        status: 'receiving',
+        error: null,
+        photo: null,
+        duplicates: [],
+        writing: false,
+        updatedAt: Date.now()
+    };
+    fs.writeFileSync(upload.path, '');
+    chunkedUploads.set(id, upload);
+    res.status(201).json(getUploadStatus(upload));
+});
+
+// Uploads are only visible to whoever started them
+app.param('uploadId', (req, res, next, id) => {
+    const upload = chunkedUploads.get(id);
+    if (!upload || upload.userId !== req.user.id) {
+        return res.status(404).json({ error: 'Upload not found' });
+    }
+    req.chunkedUpload = upload;
+    next();
+});
+
+app.get('/api/uploads/:uploadId', (req, res) => {
+    res.json(getUploadStatus(req.chunkedUpload));
+});
+
+// Append a chunk. offset must match what has been received so far; a 409 carries the right one.
+app.put('/api/uploads/:uploadId', async (req, res) => {
+    const upload = req.chunkedUpload;
+    if (upload.status !== 'receiving') {
+        return res.status(409).json({ ...getUploadStatus(upload), error: 'This upload is already complete' });
+    }
+    if (upload.writing) {
+        return res.status(409).json({ ...getUploadStatus(upload), error: 'Another chunk is still being written' });
+    }
+    if (Number(req.query.offset) !== upload.received) {
+        return res.status(409).json({ ...getUploadStatus(upload), error: 'Chunk offset does not match the bytes received' });
+    }
+
+    if (upload.received + Number(req.headers['content-length'] || 0) > upload.size) {
+        return res.status(400).json({ ...getUploadStatus(upload), error: 'The chunk goes past the end of the file' });
+    }
+
+    upload.writing = true;
+    const output = fs.createWriteStream(upload.path, { flags: 'a' });
+    let error = null;
+    try {
+        await pipeline(req, async function* (chunks) {
+            let received = upload.received;
+            for await (const chunk of chunks) {
+                received += chunk.length;
+                if (received > upload.size) {
+                    throw Object.assign(new Error('The chunk goes past the end of the file'), { status: 400 });
+                }
+                yield chunk;
+            }
+        }, output);
+    } catch (err) {
+        error = err;
+    }
+
+    // Whatever made it to disk counts, even from a dropped connection; the client resumes from there
+    if (!output.closed) {
+        await new Promise(resolve => output.once('close', resolve));
+    }
+    upload.received = fs.statSync(upload.path).size;
+    upload.updatedAt = Date.now();
+    upload.writing = false;
+
+    if (!error) {
+        res.json(getUploadStatus(upload));
+    } else if (!res.socket.destroyed) {
+        if (!error.status) {
+            console.error(`Error saving a chunk of ${upload.name}:`, error);
+        }
+        res.status(error.status || 500).json({ ...getUploadStatus(upload), error: error.status ? error.message : 'Failed to save chunk' });
+    }
+});
+
+// The whole file has arrived: queue it for processing
+app.post('/api/uploads/:uploadId/complete', (req, res) => {
+    const upload = req.chunkedUpload;
+    if (upload.status !== 'receiving') {
+        return res.status(409).json({ ...getUploadStatus(upload), error: 'This upload is already complete' });
+    }
+    if (upload.writing || upload.received !== upload.size) {
+        return res.status(409).json({ ...getUploadStatus(upload), error: `Only ${upload.received} of ${upload.size} bytes have arrived` });
+    }
+
+    upload.status = 'queued';
+    const user = req.user;
+    uploadQueue = uploadQueue.then(() => processUpload(upload, user));
+    res.status(202).json(getUploadStatus(upload));
+});
+
+// Cancel an upload and throw away what has been received
+app.delete('/api/uploads/:uploadId', (req, res) => {
+    const upload = req.chunkedUpload;
+    if (upload.status === 'queued' || upload.status === 'processing') {
+        return res.status(409).json({ error: 'This upload is already being processed' });
+    }
+    discardUpload(upload);
+    res.json({ success: true });
+});
+
+function discardIdleUploads() {
+    const cutoff = Date.now() - UPLOAD_IDLE_HOURS * 60 * 60 * 1000;
+    chunkedUploads.forEach(upload => {
+        if (upload.updatedAt < cutoff && !upload.writing && upload.status !== 'queued' && upload.status !== 'processing') {
+            discardUpload(upload);
+        }
+    });
+}
+
+// Wrap a longitude into -180..180
+function wrapLongitude(longitude) {
+    return ((longitude + 180) % 360 + 360) % 360 - 180;
+}
+
+// "west,south,east,north" in degrees, as a map reports its visible area. Longitudes outside
+// -180..180 (from a map scrolled around the globe) are wrapped; west > east means the box
+// crosses the antimeridian.
+function parseBoundingBox(value) {
+    const parts = String(value).split(',').map(part => parseFloat(part));
+    if (parts.length !== 4 || parts.some(part => !Number.isFinite(part))) {
+        return null;
+    }
+    const [west, south, east, north] = parts;
+    if (south > north) {
+        return null;
+    }
+    if (east - west >= 360) {
+        return { west: -180, south: south, east: 180, north: north };
+    }
+    return { west: wrapLongitude(west), south: south, east: wrapLongitude(east), north: north };
+}
+
+function isInBoundingBox(photo, bbox) {
+    if (typeof photo.latitude !== 'number' || typeof photo.longitude !== 'number') {
+        return false;
+    }
+    if (photo.latitude < bbox.south || photo.latitude > bbox.north) {
+        return false;
+    }
+    if (bbox.west <= bbox.east) {
+        return photo.longitude >= bbox.west && photo.longitude <= bbox.east;
+    }
+    return photo.longitude >= bbox.west || photo.longitude <= bbox.east;
+}
+
+// Get all photos with metadata (?bbox=west,south,east,north returns only photos placed inside it)
+app.get('/api/photos', (req, res) => {
+    const photos = getVisiblePhotos(req.user);
+    if (req.query.bbox === undefined) {
+        return res.json(photos);
+    }
+
+    const bbox = parseBoundingBox(req.query.bbox);
+    if (!bbox) {
+        return res.status(400).json({ error: 'bbox must be west,south,east,north in degrees' });
+    }
+    res.json(photos.filter(photo => isInBoundingBox(photo, bbox)));
+});
+
+// Filters understood by /api/search in "key:value" form
+const SEARCH_FILTER_KEYS = ['tag', 'album', 'date', 'location', 'smart'];
+const SEARCH_SORT_FIELDS = ['date', 'title', 'uploaded'];
+
+// Split a search query into free-text terms and key:value filters, honouring "quoted phrases"
+function parseSearchQuery(query) {
+    const parsed = { terms: [], filters: {} };
+    SEARCH_FILTER_KEYS.forEach(key => { parsed.filters[key] = []; });
+
+    const tokenPattern = /(\w+):"([^"]*)"|(\w+):(\S*)|"([^"]*)"|(\S+)/g;
+    let match;
+    while ((match = tokenPattern.exec(query || '')) !== null) {
+        const key = (match[1] || match[3] || '').toLowerCase();
+        const value = match[1] ? match[2] : match[4];
+        if (key && SEARCH_FILTER_KEYS.includes(key)) {
+            if (value) {
+                parsed.filters[key].push(value.toLowerCase());
+            }
+        } else {
+            const term = match[5] !== undefined ? match[5] : match[0];
+            if (term) {
+                parsed.terms.push(term.toLowerCase());
+            }
+        }
+    }
+    return parsed;
+}
+
+// Tags as a normalized list (tolerates records that predate the tag migration)
+function getPhotoTags(photo) {
+    return normalizeTags(photo.tags);
+}
+
+// Match a YYYY[-MM[-DD]] date against a single period or a "from..to" range (either end optional)
+function matchesDateFilter(photoDate, filter) {
+    if (!photoDate) {
+        return false;
+    }
+    if (!filter.includes('..')) {
+        return photoDate.startsWith(filter);
+    }
+    const [from, to] = filter.split('..');
+    if (from && photoDate.slice(0, from.length) < from) {
+        return false;
+    }
+    if (to && photoDate.slice(0, to.length) > to) {
+        return false;
+    }
+    return true;
+}
+
+function matchesSearch(photo, parsed) {
+    const { filters } = parsed;
+
+    // Every filter must hold, so album:a album:b means photos in both albums
+    const photoAlbums = getPhotoAlbums(photo).map(album => album.toLowerCase());
+    if (!filters.album.every(album => photoAlbums.includes(album))) {
+        return false;
+    }
+
+    const photoTags = getPhotoTags(photo);
+    if (!filters.tag.every(tag => photoTags.includes(tag))) {
+        return false;
+    }
+
+    const photoLocation = (photo.location || '').toLowerCase();
+    if (!filters.location.every(location => photoLocation.includes(location))) {
+        return false;
+    }
+
+    if (!filters.date.every(date => matchesDateFilter(photo.date, date))) {
+        return false;
+    }
+
+    // smart:<id> limits results to a smart album; an unknown ID matches nothing
+    if (!filters.smart.every(id => {
+        const album = findSmartAlbum(id);
+        return album && matchesSmartAlbum(photo, album);
+    })) {
+        return false;
+    }
+
+    const haystack = [photo.title, photo.description, photo.location, photoTags.join(' ')]
+        .join(' ')
+        .toLowerCase();
+    return parsed.terms.every(term => haystack.includes(term));
+}
+
+// Capture time when it still agrees with the (possibly edited) date, otherwise the date itself
+function getSortDate(photo) {
+    if (photo.takenAt && photo.takenAt.startsWith(photo.date || '')) {
+        return photo.takenAt;
+    }
+    return photo.date || '';
+}
+
+// Search photos by free text and key:value filters, with sorting and pagination
+app.get('/api/search', (req, res) => {
+    const sort = req.query.sort || 'date';
+    const order = req.query.order === 'asc' ? 'asc' : 'desc';
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    if (!SEARCH_SORT_FIELDS.includes(sort)) {
+        return res.status(400).json({ error: `Invalid sort. Use one of: ${SEARCH_SORT_FIELDS.join(', ')}` });
+    }
+
+    const parsed = parseSearchQuery(req.query.q);
+    const sortValue = {
+        date: getSortDate,
+        title: photo => (photo.title || '').toLowerCase(),
+        uploaded: photo => photo.uploadedAt || ''
+    }[sort];
+
+    const matches = getVisiblePhotos(req.user)
+        .filter(photo => matchesSearch(photo, parsed))
+        .sort((a, b) => {
+            const valueA = sortValue(a);
+            const valueB = sortValue(b);
+            const comparison = valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+            return order === 'asc' ? comparison : -comparison;
+        });
+
+    const start = (page - 1) * limit;
+    res.json({
+        query: req.query.q || '',
+        total: matches.length,
+        page: page,
+        limit: limit,
+        totalPages: Math.ceil(matches.length / limit),
+        results: matches.slice(start, start + limit)
+    });
+});
+
+// Photo counts per year, month and day for the timeline scrubber. Takes the same q as /api/search
+// to narrow it to an album or search; ?today=YYYY-MM-DD adds the photos taken on that calendar
+// date in earlier years ("On this day").
+app.get('/api/timeline', (req, res) => {
+    const order = req.query.order === 'asc' ? 'asc' : 'desc';
+    const today = req.query.today;
+    if (today !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(today)) {
+        return res.status(400).json({ error: 'today must be a date in YYYY-MM-DD form' });
+    }
+
+    const parsed = parseSearchQuery(req.query.q);
+    const years = new Map();
+    const onThisDay = new Map();
+    let undated = 0;
+    let total = 0;
+
+    getVisiblePhotos(req.user).filter(photo => matchesSearch(photo, parsed)).forEach(photo => {
+        total++;
+        const day = getSortDate(photo).slice(0, 10);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+            undated++;
+            return;
+        }
+
+        const year = day.slice(0, 4);
+        const month = day.slice(0, 7);
+        if (!years.has(year)) {
+            years.set(year, { year: year, count: 0, months: new Map() });
+        }
+        const yearBucket = years.get(year);
+        yearBucket.count++;
+        if (!yearBucket.months.has(month)) {
+            yearBucket.months.set(month, { month: month, count: 0, days: new Map() });
+        }
+        const monthBucket = yearBucket.months.get(month);
+        monthBucket.count++;
+        monthBucket.days.set(day, (monthBucket.days.get(day) || 0) + 1);
+
+        if (today && day.slice(5) === today.slice(5) && year < today.slice(0, 4)) {
+            if (!onThisDay.has(year)) {
+                onThisDay.set(year, []);
+            }
+            onThisDay.get(year).push(photo);
+        }
+    });
+
+    // Buckets are keyed by zero-padded strings, so string order is date order
+    const sortKeys = (keys) => {
+        const sorted = [...keys].sort();
+        return order === 'desc' ? sorted.reverse() : sorted;
+    };
+
+    res.json({
+        total: total,
+        undated: undated,
+        years: sortKeys(years.keys()).map(year => {
+            const yearBucket = years.get(year);
+            return {
+                year: year,
+                count: yearBucket.count,
+                months: sortKeys(yearBucket.months.keys()).map(month => {
+                    const monthBucket = yearBucket.months.get(month);
+                    return {
+                        month: month,
+                        count: monthBucket.count,
+                        days: sortKeys(monthBucket.days.keys()).map(day => ({ day: day, count: monthBucket.days.get(day) }))
+                    };
+                })
+            };
+        }),
+        // Most recent year first: "1 year ago" leads the strip
+        onThisDay: [...onThisDay.keys()].sort().reverse().map(year => ({
+            year: year,
+            yearsAgo: parseInt(today.slice(0, 4), 10) - parseInt(year, 10),
+            photos: onThisDay.get(year).sort((a, b) => (getSortDate(a) < getSortDate(b) ? -1 : 1))
+        }))
+    });
+});
+
+// Resolve :photoId to req.photo. Permanent IDs and current filenames are accepted; a filename the
+// photo used to have redirects to the same URL with its ID, so old links and bookmarks keep working.
+// Photos the user can't see are reported as missing rather than forbidden.
+app.param('photoId', (req, res, next, key) => {
+    const photo = findPhoto(key);
+    if (photo && canViewPhoto(req.user, photo)) {
+        req.photo = photo;
+        return next();
+    }
+
+    const renamed = !photo && store.photos.find(p => (p.previousFilenames || []).includes(key));
+    if (renamed && canViewPhoto(req.user, renamed)) {
+        // 308 keeps the method and body for edits sent to an old filename
+        const url = req.originalUrl.replace(`/${encodeURIComponent(key)}`, `/${renamed.id}`);
+        return res.redirect(req.method === 'GET' ? 301 : 308, url);
+    }
+
+    res.status(404).json({ error: 'Photo not found' });
+});
+
+// Get single photo metadata
+app.get('/api/photos/:photoId', (req, res) => {
+    res.json(req.photo);
+});
+
+// Serve a thumbnail or medium rendition, rebuilding it when missing or stale
+app.get('/api/photos/:photoId/thumb', async (req, res) => {
+    const photo = req.photo;
+    const size = req.query.size || 'thumb';
+
+    if (!RENDITION_SIZES[size]) {
+        return res.status(400).json({ error: `Invalid size. Use one of: ${Object.keys(RENDITION_SIZES).join(', ')}` });
+    }
+
+    const filePath = path.join(photosDir, photo.album || DEFAULT_ALBUM, photo.filename);
+    if (!fs.existsSync(filePath)) {
+        return res.status(404).json({ error: 'Photo file not found' });
+    }
+
+    try {
+        const renditionPath = await ensureRendition(filePath, photo.filename, size);
+        res.sendFile(renditionPath);
+    } catch (error) {
+        // Files sharp cannot decode were stored unprocessed; serve them as-is
+        console.error(`Error generating ${size} rendition for ${photo.filename}:`, error);
+        res.sendFile(filePath);
+    }
+});
+
+// Download the file exactly as it was uploaded. Photos from before originals were kept fall back to
+// their pre-edit copy, or else the photo itself.
+app.get('/api/photos/:photoId/original', (req, res) => {
+    const photo = req.photo;
+    const filePath = [
+        photo.sourceFile && path.join(sourcesDir, photo.sourceFile),
+        getOriginalPath(photo.filename),
+        getPhotoPath(photo)
+    ].find(candidate => candidate && fs.existsSync(candidate));
+    if (!filePath) {
+        return res.status(404).json({ error: 'Photo file not found' });
+    }
+
+    const extension = path.extname(filePath);
+    const downloadName = photo.originalName && path.extname(photo.originalName).toLowerCase() === extension
+        ? photo.originalName
+        : path.basename(photo.filename, path.extname(photo.filename)) + extension;
+    res.download(filePath, downloadName);
+});
+
+// The motion clip of a Live Photo (?download=1 for a download under its original name)
+app.get('/api/photos/:photoId/live', (req, res) => {
+    const photo = req.photo;
+    if (!photo.liveVideo || !fs.existsSync(getLiveVideoPath(photo))) {
+        return res.status(404).json({ error: 'This photo has no Live Photo clip' });
+    }
+    if (req.query.download) {
+        return res.download(getLiveVideoPath(photo), photo.liveVideo.originalName);
+    }
+    res.sendFile(getLiveVideoPath(photo));
+});
+
+// Coordinates in a PATCH body: both numbers, or both null to clear them. Returns undefined when
+// neither was sent and null when they're invalid.
+function getCoordinateUpdate(body) {
+    const { latitude, longitude } = body;
+    if (latitude === undefined && longitude === undefined) {
+        return undefined;
+    }
+    if (latitude === null && longitude === null) {
+        return { latitude: null, longitude: null };
+    }
+    if (typeof latitude !== 'number' || typeof longitude !== 'number' ||
+        Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        return null;
+    }
+    return {
+        latitude: Math.round(latitude * 1e6) / 1e6,
+        longitude: Math.round(longitude * 1e6) / 1e6
+    };
+}
+
+// Update photo metadata
+app.patch('/api/photos/:photoId', requirePhotoEdit, async (req, res) => {
+    const coordinates = getCoordinateUpdate(req.body);
+    if (coordinates === null) {
+        return res.status(400).json({ error: 'latitude and longitude must be sent together, as numbers within ±90 and ±180 (or both null)' });
+    }
+    // An empty date clears it
+    if (req.body.date !== undefined && req.body.date !== '' && !isValidDate(req.body.date)) {
+        return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+
+    try {
+        const photo = await updatePhoto(req.photo.id, (photo) => {
+            // Update the metadata fields that were sent
+            const allowedFields = ['title', 'date', 'location', 'tags', 'description'];
+            Object.keys(req.body).forEach(key => {
+                if (allowedFields.includes(key)) {
+                    photo[key] = key === 'tags' ? normalizeTags(req.body[key]) : req.body[key];
+                }
+            });
+
+            // A pin dropped on the map replaces the EXIF position, so its altitude no longer applies
+            if (coordinates) {
+                delete photo.altitude;
+                if (coordinates.latitude === null) {
+                    delete photo.latitude;
+                    delete photo.longitude;
+                } else {
+                    photo.latitude = coordinates.latitude;
+                    photo.longitude = coordinates.longitude;
+                }
+            }
+
+            // Date and title are part of the filename, so keep the file in step with them
+            syncPhotoFile(photo, photo.album);
+        });
+
+        if (!photo) {
+            return res.status(404).json({ error: 'Photo not found' });
+        }
+
+        res.json({ 
+            success: true, 
+            message: 'Photo metadata updated successfully',
+            photo: photo,
+            newFilename: photo.filename
+        });
+    } catch (error) {
+        console.error('Error updating photo:', error);
+        res.status(500).json({ error: 'Failed to update photo' });
+    }
+});
+
+// Trash: deleting a photo moves its file to photos/.trash/<id><ext> and its metadata to the trash
+// list, where it can be restored to its album. Edit history and cached renditions stay where they
+// are until the photo is deleted for good, which happens by hand or TRASH_RETENTION_DAYS after
+// it was trashed (0 keeps trash forever).
+const trashDir = path.join(photosDir, '.trash');
+if (!fs.existsSync(trashDir)) {
+    fs.mkdirSync(trashDir);
+}
+
+const TRASH_RETENTION_DAYS = process.env.TRASH_RETENTION_DAYS === undefined ? 30 : Math.max(parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 0, 0);
+
+function getTrash() {
+    return store.collection('trash', []);
+}
+
+function getTrashPath(item) {
+    return path.join(trashDir, item.id + path.extname(item.filename));
+}
+
+// When an item will be purged, or null if trash is kept forever
+function getTrashPurgeAt(item) {
+    if (TRASH_RETENTION_DAYS === 0) {
+        return null;
+    }
+    return new Date(Date.parse(item.deletedAt) + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// Move a photo to the trash and return its trash item (call inside a transaction)
+function trashPhoto(photoIndex, user) {
+    const photo = store.photos[photoIndex];
+
+    // Drop it from manual album orders
+    store.collection('albums', []).forEach(record => {
+        record.order = record.order.filter(id => id !== photo.id);
+    });
+
+    // Move from metadata to the trash list
+    store.photos.splice(photoIndex, 1);
+    const item = { ...photo, deletedAt: new Date().toISOString(), deletedBy: user ? user.id : null };
+    getTrash().push(item);
+
+    // Last, so nothing above can fail with the file already moved
+    const filePath = getPhotoPath(photo);
+    if (fs.existsSync(filePath)) {
+        fs.renameSync(filePath, getTrashPath(item));
+    }
+    return item;
+}
+
+// Delete a trashed photo's file, renditions, edit history, original and Live Photo clip for good
+// (call inside a transaction)
+function purgeTrashItem(item) {
+    const trash = getTrash();
+    const index = trash.indexOf(item);
+    if (index === -1) {
+        return;
+    }
+    trash.splice(index, 1);
+    if (fs.existsSync(getTrashPath(item))) {
+        fs.unlinkSync(getTrashPath(item));
+    }
+    removeRenditions(item.filename);
+    removeEditFiles(item.filename);
+    if (item.sourceFile && fs.existsSync(path.join(sourcesDir, item.sourceFile))) {
+        fs.unlinkSync(path.join(sourcesDir, item.sourceFile));
+    }
+    if (item.liveVideo && fs.existsSync(getLiveVideoPath(item))) {
+        fs.unlinkSync(getLiveVideoPath(item));
+    }
+}
+
+// Put a trashed photo back in its album; returns an error message when it can't be (call inside
+// a transaction)
+function restoreTrashItem(item) {
+    const albumName = item.album || DEFAULT_ALBUM;
+    const targetPath = path.join(photosDir, albumName, item.filename);
+    if (fs.existsSync(targetPath) || findPhoto(item.filename)) {
+        return `A photo named ${item.filename} is already in the library`;
+    }
+    if (!fs.existsSync(getTrashPath(item))) {
+        return `The file for ${item.filename} is missing from the trash`;
+    }
+
+    const trash = getTrash();
+    trash.splice(trash.indexOf(item), 1);
+    const { deletedAt, deletedBy, ...photo } = item;
+    // Albums deleted in the meantime are dropped from its memberships; the one it's stored in
+    // comes back as an empty folder
+    photo.albums = getPhotoAlbums(photo).filter(album => album === albumName || albumExists(album));
+    if (!photo.albums.includes(albumName)) {
+        photo.albums.push(albumName);
+    }
+    store.photos.push(photo);
+
+    fs.mkdirSync(path.join(photosDir, albumName), { recursive: true });
+    fs.renameSync(getTrashPath(item), targetPath);
+    return null;
+}
+
+function purgeExpiredTrash() {
+    if (TRASH_RETENTION_DAYS === 0) {
+        return Promise.resolve(0);
+    }
+    return store.transaction(() => {
+        const now = Date.now();
+        const expired = getTrash().filter(item => Date.parse(getTrashPurgeAt(item)) <= now);
+        expired.forEach(purgeTrashItem);
+        return expired.length;
+    });
+}
+
+// Move a photo to the trash
+app.delete('/api/photos/:photoId', requirePhotoEdit, async (req, res) => {
+    const id = req.photo.id;
+
+    try {
+        const deleted = await store.transaction(() => {
+            const photoIndex = store.photos.findIndex(p => p.id === id);
+            if (photoIndex === -1) {
+                return false;
+            }
+            trashPhoto(photoIndex, req.user);
+            return true;
+        });
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Photo not found' });
+        }
+
+        res.json({ success: true, message: 'Photo moved to the trash' });
+    } catch (error) {
+        console.error('Error deleting photo:', error);
+        res.status(500).json({ error: 'Failed to delete photo' });
+    }
+});
+
+// Trashed photos the user could have deleted, newest first
+app.get('/api/trash', requireContributor, (req, res) => {
+    const items = getTrash()
+        .filter(item => canEditPhoto(req.user, item))
+        .map(item => ({ ...item, purgeAt: getTrashPurgeAt(item) }))
+        .sort((a, b) => (a.deletedAt < b.deletedAt ? 1 : -1));
+    res.json({ retentionDays: TRASH_RETENTION_DAYS, items: items });
+});
+
+// Trash items from a request body, each once; null if any can't be found or belongs to someone else
+function getRequestTrashItems(ids, user) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+        return null;
+    }
+    const items = [...new Set(ids)].map(id => getTrash().find(item => item.id === id));
+    return items.some(item => !item || !canEditPhoto(user, item)) ? null : items;
+}
+
+app.get('/api/trash/:id/thumb', requireContributor, async (req, res) => {
+    const item = getTrash().find(i => i.id === req.params.id);
+    if (!item || !canEditPhoto(req.user, item)) {
+        return res.status(404).json({ error: 'Photo not found in the trash' });
+    }
+
+    try {
+        res.sendFile(await ensureRendition(getTrashPath(item), item.filename, 'thumb'));
+    } catch (error) {
+        console.error(`Error generating thumbnail for trashed photo ${item.filename}:`, error);
+        res.status(500).json({ error: 'Failed to load thumbnail' });
+    }
+});
+
+// Restore trashed photos to the albums they were deleted from. Photos that can't go back (the
+// name has been taken since) stay in the trash and are reported.
+app.post('/api/trash/restore', requireContributor, async (req, res) => {
+    try {
+        const result = await store.transaction(() => {
+            const items = getRequestTrashItems(req.body.ids, req.user);
+            if (!items) {
+                return null;
+            }
+            const restored = [];
+            const failures = [];
+            items.forEach(item => {
+                const error = restoreTrashItem(item);
+                if (error) {
+                    failures.push({ id: item.id, error: error });
+                } else {
+                    restored.push(item.id);
+                }
+            });
+            return { restored, failures };
+        });
+
+        if (!result) {
+            return res.status(400).json({ error: 'ids must list photos in the trash' });
+        }
+
+        res.json({
+            success: true,
+            message: `Restored ${result.restored.length} photo(s)`,
+            restored: result.restored,
+            failures: result.failures
+        });
+    } catch (error) {
+        console.error('Error restoring photos:', error);
+        res.status(500).json({ error: 'Failed to restore photos' });
+    }
+});
+
+// Delete trashed photos for good
+app.delete('/api/trash', requireContributor, async (req, res) => {
+    try {
+        const deleted = await store.transaction(() => {
+            const items = getRequestTrashItems(req.body.ids, req.user);
+            if (!items) {
+                return null;
+            }
+            items.forEach(purgeTrashItem);
+            return items.length;
+        });
+
+        if (deleted === null) {
+            return res.status(400).json({ error: 'ids must list photos in the trash' });
+        }
+
+        res.json({ success: true, message: `Permanently deleted ${deleted} photo(s)` });
+    } catch (error) {
+        console.error('Error emptying trash:', error);
+        res.status(500).json({ error: 'Failed to delete photos' });
+    }
+});
+
+// Library reconciliation: finds what changed in photos/ outside the app. Image files in album
+// folders (or at the top level) that no photo points to are new; photos whose file has gone are
+// missing, or moved when the same file turns up elsewhere (by filename, or failing that by
+// perceptual hash); and .backup files left from the old single-level crop are orphaned, since
+// backups of photos that still exist were turned into edit history at startup. Set LIBRARY_WATCH=1
+// to keep the report up to date with a filesystem watcher; otherwise it's built when asked for.
+const LIBRARY_WATCH = process.env.LIBRARY_WATCH === '1';
+// Max differing perceptual hash bits for a renamed file to be offered as a missing photo's new home
+const RELINK_HASH_DISTANCE = 2;
+
+let libraryReport = null;
+// Perceptual hashes of files on disk, keyed by path, size and mtime, so rescans don't redo them
+const libraryHashCache = new Map();
+
+// Image and .backup files in photos/ and its album folders (dot-folders are the app's own)
+function listLibraryFiles() {
+    const images = [];
+    const backups = [];
+    const folders = [''].concat(fs.readdirSync(photosDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+        .map(entry => entry.name));
+
+    folders.forEach(folder => {
+        fs.readdirSync(path.join(photosDir, folder), { withFileTypes: true }).forEach(entry => {
+            if (!entry.isFile() || entry.name.startsWith('.') || ingestingFiles.has(path.join(photosDir, folder, entry.name))) {
+                return;
+            }
+            const extension = path.extname(entry.name).toLowerCase();
+            if (extension !== '.backup' && !getMediaMimetype(entry.name)) {
+                return;
+            }
+            const stats = fs.statSync(path.join(photosDir, folder, entry.name));
+            const file = { folder: folder, filename: entry.name, size: stats.size, modifiedAt: stats.mtime.toISOString() };
+            (extension === '.backup' ? backups : images).push(file);
+        });
+    });
+    return { images, backups };
+}
+
+async function getFileHash(file) {
+    const filePath = path.join(photosDir, file.folder, file.filename);
+    const key = `${filePath}:${file.size}:${file.modifiedAt}`;
+    if (!libraryHashCache.has(key)) {
+        libraryHashCache.set(key, await computePerceptualHash(filePath).catch(() => null));
+    }
+    return libraryHashCache.get(key);
+}
+
+async function scanLibrary() {
+    const { images, backups } = listLibraryFiles();
+    const known = new Set(store.photos.map(photo => `${photo.album || DEFAULT_ALBUM}/${photo.filename}`));
+    let newFiles = images.filter(file => !known.has(`${file.folder}/${file.filename}`));
+    const missingPhotos = store.photos.filter(photo => !fs.existsSync(getPhotoPath(photo)));
+
+    // A moved photo can only land in a folder that is a usable album
+    const moved = [];
+    const missing = [];
+    for (const photo of missingPhotos) {
+        const candidates = newFiles.filter(file => file.folder && sanitizeAlbumName(file.folder) === file.folder);
+        let match = candidates.find(file => file.filename === photo.filename);
+        if (!match && photo.perceptualHash) {
+            let bestDistance = RELINK_HASH_DISTANCE + 1;
+            for (const file of candidates) {
+                const hash = await getFileHash(file);
+                const distance = hash ? hammingDistance(hash, photo.perceptualHash) : Infinity;
+                if (distance < bestDistance) {
+                    match = file;
+                    bestDistance = distance;
+                }
+            }
+        }
+
+        const summary = { id: photo.id, title: photo.title, album: photo.album || DEFAULT_ALBUM, filename: photo.filename };
+        if (match) {
+            moved.push({ ...summary, to: { folder: match.folder, filename: match.filename } });
+            newFiles = newFiles.filter(file => file !== match);
+        } else {
+            missing.push(summary);
+        }
+    }
+
+    libraryReport = {
+        scannedAt: new Date().toISOString(),
+        watching: LIBRARY_WATCH,
+        newFiles: newFiles,
+        missing: missing,
+        moved: moved,
+        orphanedBackups: backups
+    };
+    return libraryReport;
+}
+
+function summarizeLibraryReport(report) {
+    return [
+        [report.newFiles.length, 'new file(s)'],
+        [report.missing.length, 'missing photo(s)'],
+        [report.moved.length, 'moved photo(s)'],
+        [report.orphanedBackups.length, 'orphaned backup(s)']
+    ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`).join(', ');
+}
+
+// Files from a request body that are still in the latest report's list; null if any aren't
+function getReportFiles(list, files) {
+    if (!Array.isArray(files) || files.length === 0) {
+        return null;
+    }
+    const found = files.map(file => list.find(entry => file && entry.folder === file.folder && entry.filename === file.filename));
+    return found.every(Boolean) ? found : null;
+}
+
+// The latest report; rescanned unless the watcher is keeping it current (or ?refresh=1 asks)
+app.get('/api/library', requireAdmin, async (req, res) => {
+    try {
+        const report = LIBRARY_WATCH && libraryReport && req.query.refresh !== '1'
+            ? libraryReport
+            : await scanLibrary();
+        res.json(report);
+    } catch (error) {
+        console.error('Error scanning library:', error);
+        res.status(500).json({ error: 'Failed to scan the library' });
+    }
+});
+
+// Add new files to the library. Each goes through the upload pipeline (EXIF, hashes, JPEG
+// rendering, original kept) into the album named after its folder, top-level files into the
+// default album; the file as found is then removed, since .sources has it.
+app.post('/api/library/import', requireAdmin, async (req, res) => {
+    try {
+        const files = getReportFiles((await scanLibrary()).newFiles, req.body.files);
+        if (!files) {
+            return res.status(400).json({ error: 'files must list new files from the library report' });
+        }
+
+        const imported = [];
+        const failures = [];
+        for (const file of files) {
+            const filePath = path.join(photosDir, file.folder, file.filename);
+            try {
+                const buffer = fs.readFileSync(filePath);
+                const photo = await ingestPhoto({
+                    buffer: buffer,
+                    originalname: file.filename,
+                    mimetype: getMediaMimetype(file.filename),
+                    size: buffer.length
+                }, { album: sanitizeAlbumName(file.folder) || DEFAULT_ALBUM, uploadedBy: req.user.id });
+                const [added] = await recordIngested([photo]);
+                fs.unlinkSync(filePath);
+                imported.push(added.filename);
+            } catch (err) {
+                console.error(`Failed to import ${filePath}:`, err.message);
+                failures.push({ folder: file.folder, filename: file.filename, error: err.message });
+            }
+        }
+
+        res.json({ imported, failures, report: await scanLibrary() });
+    } catch (error) {
+        console.error('Error importing library files:', error);
+        res.status(500).json({ error: 'Failed to import files' });
+    }
+});
+
+// Point moved photos at where their file is now. The folder becomes the photo's storage album
+// (taking the place of the old one in its memberships), and a new filename is kept as found.
+app.post('/api/library/relink', requireAdmin, async (req, res) => {
+    try {
+        const report = await scanLibrary();
+        const ids = req.body.ids;
+        const entries = Array.isArray(ids) && ids.length > 0 && ids.map(id => report.moved.find(entry => entry.id === id));
+        if (!entries || !entries.every(Boolean)) {
+            return res.status(400).json({ error: 'ids must list moved photos from the library report' });
+        }
+
+        await store.transaction(() => {
+            entries.forEach(entry => {
+                const photo = store.photos.find(p => p.id === entry.id);
+                const previousAlbum = photo.album || DEFAULT_ALBUM;
+                const album = entry.to.folder;
+
+                photo.album = album;
+                photo.albums = [...new Set(getPhotoAlbums(photo).map(name => name === previousAlbum ? album : name))];
+                if (!photo.albums.includes(album)) {
+                    photo.albums.push(album);
+                }
+                const previousRecord = previousAlbum !== album && findAlbumRecord(previousAlbum);
+                if (previousRecord) {
+                    previousRecord.order = previousRecord.order.filter(id => id !== photo.id);
+                }
+
+                if (entry.to.filename !== photo.filename) {
+                    removeRenditions(photo.filename);
+                    renameEditFiles(photo.filename, entry.to.filename);
+                    photo.previousFilenames = [...(photo.previousFilenames || []), photo.filename]
+                        .filter((name, index, names) => name !== entry.to.filename && names.indexOf(name) === index);
+                    photo.filename = entry.to.filename;
+                }
+            });
+        });
+
+        res.json({ relinked: entries.length, report: await scanLibrary() });
+    } catch (error) {
+        console.error('Error relinking photos:', error);
+        res.status(500).json({ error: 'Failed to relink photos' });
+    }
+});
+
+// Forget missing photos for good, along with their edit history, thumbnails and kept original
+app.post('/api/library/drop', requireAdmin, async (req, res) => {
+    try {
+        const report = await scanLibrary();
+        const ids = req.body.ids;
+        if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => report.missing.some(entry => entry.id === id))) {
+            return res.status(400).json({ error: 'ids must list missing photos from the library report' });
+        }
+
+        // Each photo once, skipping any that went away since the scan
+        const dropped = await store.transaction(() => {
+            let count = 0;
+            new Set(ids).forEach(id => {
+                const photoIndex = store.photos.findIndex(photo => photo.id === id);
+                if (photoIndex !== -1) {
+                    purgeTrashItem(trashPhoto(photoIndex, req.user));
+                    count++;
+                }
+            });
+            return count;
+        });
+
+        res.json({ dropped: dropped, report: await scanLibrary() });
+    } catch (error) {
+        console.error('Error dropping missing photos:', error);
+        res.status(500).json({ error: 'Failed to drop photos' });
+    }
+});
+
+// Delete orphaned .backup files
+app.delete('/api/library/backups', requireAdmin, async (req, res) => {
+    try {
+        const files = getReportFiles((await scanLibrary()).orphanedBackups, req.body.files);
+        if (!files) {
+            return res.status(400).json({ error: 'files must list orphaned backups from the library report' });
+        }
+
+        files.forEach(file => fs.unlinkSync(path.join(photosDir, file.folder, file.filename)));
+        res.json({ deleted: files.length, report: await scanLibrary() });
+    } catch (error) {
+        console.error('Error deleting backups:', error);
+        res.status(500).json({ error: 'Failed to delete backups' });
+    }
+});
+
+// Rescan a couple of seconds after changes settle. The app's own writes (metadata.json, dot-folders)
+// are ignored; uploads and renames in album folders do trigger a rescan, which is harmless.
+function watchLibrary() {
+    let timer = null;
+    let lastSummary = libraryReport ? summarizeLibraryReport(libraryReport) : '';
+    const rescan = () => scanLibrary()
+        .then(report => {
+            const summary = summarizeLibraryReport(report);
+            if (summary && summary !== lastSummary) {
+                console.log(`Library changed on disk: ${summary}`);
+            }
+            lastSummary = summary;
+        })
+        .catch(err => console.error('Failed to rescan the library:', err));
+
+    // Recursive watching needs Node 20 on Linux; without it the report is still built when asked for
+    try {
+        fs.watch(photosDir, { recursive: true }, (eventType, filename) => {
+            const name = String(filename || '');
+            if (name.split(path.sep).some(part => part.startsWith('.')) || name.startsWith('metadata.json')) {
+                return;
+            }
+            clearTimeout(timer);
+            timer = setTimeout(rescan, 2000);
+        });
+    } catch (err) {
+        console.warn(`LIBRARY_WATCH is set but the library can't be watched (${err.message}); it will be scanned when opened instead`);
+    }
+}
+
+// Members of an album in display order: the manual order first, then anything not yet placed
+// in it, oldest first
+function getAlbumPhotos(name) {
+    const record = findAlbumRecord(name);
+    const positions = new Map((record ? record.order : []).map((id, index) => [id, index]));
+    return store.photos
+        .filter(photo => getPhotoAlbums(photo).includes(name))
+        .sort((a, b) => {
+            const positionA = positions.has(a.id) ? positions.get(a.id) : Infinity;
+            const positionB = positions.has(b.id) ? positions.get(b.id) : Infinity;
+            if (positionA !== positionB) {
+                return positionA < positionB ? -1 : 1;
+            }
+            const dateA = getSortDate(a);
+            const dateB = getSortDate(b);
+            return dateA < dateB ? -1 : dateA > dateB ? 1 : 0;
+        });
+}
+
+function getAlbumSummary(name) {
+    const record = findAlbumRecord(name);
+    const photos = getAlbumPhotos(name);
+    // An explicit cover only counts while it's still in the album; otherwise the first photo is used
+    const cover = record && photos.find(photo => photo.id === record.coverPhotoId) || photos[0];
+    return {
+        name: name,
+        photoCount: photos.length,
+        isDefault: name === DEFAULT_ALBUM,
+        description: record ? record.description : '',
+        coverPhotoId: cover ? cover.id : null,
+        order: record ? record.order : []
+    };
+}
+
+// Get all albums
+app.get('/api/albums', (req, res) => {
+    try {
+        const albums = [];
+        const entries = fs.readdirSync(photosDir, { withFileTypes: true });
+        
+        for (const entry of entries) {
+            // Skip hidden directories such as the rendition cache
+            if (entry.isDirectory() && !entry.name.startsWith('.') && canViewAlbum(req.user, entry.name)) {
+                albums.push({ ...getAlbumSummary(entry.name), canAdd: canAddToAlbum(req.user, entry.name) });
+            }
+        }
+
+        // Smart albums follow the directories; they can't be moved into, only filtered by
+        getSmartAlbums().forEach(album => {
+            albums.push({ ...getSmartAlbumSummary(album, req.user), isDefault: false, smart: true });
+        });
+        
+        res.json(albums);
+    } catch (error) {
+        console.error('Error getting albums:', error);
+        res.status(500).json({ error: 'Failed to get albums' });
+    }
+});
+
+// Create new album
+app.post('/api/albums', requireAdmin, async (req, res) => {
+    try {
+        const { name, description } = req.body;
+        
+        if (!name || !name.trim()) {
+            return res.status(400).json({ error: 'Album name is required' });
+        }
+        
+        // Sanitize album name for filesystem
+        const sanitizedName = sanitizeAlbumName(name);
+        
+        if (!sanitizedName) {
+            return res.status(400).json({ error: 'Invalid album name' });
+        }
+        
+        const albumPath = path.join(photosDir, sanitizedName);
+        
+        if (fs.existsSync(albumPath)) {
+            return res.status(409).json({ error: 'Album already exists' });
+        }
+        
+        fs.mkdirSync(albumPath);
+        if (description) {
+            await store.transaction(() => {
+                getAlbumRecord(sanitizedName).description = String(description).trim();
+            });
+        }
+
+        res.json({ 
+            success: true, 
+            message: 'Album created successfully',
+            album: getAlbumSummary(sanitizedName)
+        });
+    } catch (error) {
+        console.error('Error creating album:', error);
+        res.status(500).json({ error: 'Failed to create album' });
+    }
+});
+
+// Rename an album and/or change its description or cover. Renaming moves the directory, so the
+// photos stored in it move with it; photo IDs don't change.
+app.patch('/api/albums/:name', requireAdmin, async (req, res) => {
+    const albumName = req.params.name;
+    if (!albumExists(albumName)) {
+        return res.status(404).json({ error: 'Album not found' });
+    }
+
+    const { description, coverPhotoId } = req.body;
+    let newName = albumName;
+    if (req.body.name !== undefined) {
+        newName = sanitizeAlbumName(req.body.name || '');
+        if (!newName) {
+            return res.status(400).json({ error: 'Invalid album name' });
+        }
+        if (newName !== albumName && albumName === DEFAULT_ALBUM) {
+            return res.status(400).json({ error: 'Cannot rename default album' });
+        }
+        if (newName !== albumName && fs.existsSync(path.join(photosDir, newName))) {
+            return res.status(409).json({ error: 'Album already exists' });
+        }
+    }
+
+    try {
+        const result = await store.transaction(() => {
+            if (coverPhotoId !== undefined && coverPhotoId !== null) {
+                const cover = findPhoto(coverPhotoId);
+                if (!cover || !getPhotoAlbums(cover).includes(albumName)) {
+                    return { status: 400, error: 'The cover must be a photo in the album' };
+                }
+            }
+
+            const record = getAlbumRecord(albumName);
+            if (description !== undefined) {
+                record.description = String(description || '').trim();
+            }
+            if (coverPhotoId !== undefined) {
+                record.coverPhotoId = coverPhotoId ? findPhoto(coverPhotoId).id : null;
+            }
+
+            if (newName !== albumName) {
+                record.name = newName;
+                // Trashed photos too, so restoring one puts it back in the renamed album
+                store.photos.concat(getTrash()).forEach(photo => {
+                    if (photo.album === albumName) {
+                        photo.album = newName;
+                    }
+                    if (getPhotoAlbums(photo).includes(albumName)) {
+                        photo.albums = getPhotoAlbums(photo).map(album => (album === albumName ? newName : album));
+                    }
+                });
+                // Smart albums that refer to the album by name keep working
+                getSmartAlbums().forEach(smartAlbum => {
+                    smartAlbum.rules.forEach(rule => {
+                        if (rule.field === 'album' && rule.value.toLowerCase() === albumName.toLowerCase()) {
+                            rule.value = newName;
+                        }
+                    });
+                });
+                getShares().forEach(share => {
+                    if (share.album === albumName) {
+                        share.album = newName;
+                    }
+                });
+                getUsers().forEach(user => {
+                    if (user.albums) {
+                        user.albums = user.albums.map(album => (album === albumName ? newName : album));
+                    }
+                });
+                // Last, so a failure above rolls back without leaving the directory renamed
+                fs.renameSync(path.join(photosDir, albumName), path.join(photosDir, newName));
+            }
+            return {};
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({
+            success: true,
+            message: newName !== albumName ? `Album renamed to ${newName}` : 'Album updated successfully',
+            album: getAlbumSummary(newName)
+        });
+    } catch (error) {
+        console.error('Error updating album:', error);
+        res.status(500).json({ error: 'Failed to update album' });
+    }
+});
+
+// Get an album's photos in album order
+app.get('/api/albums/:name/photos', (req, res) => {
+    if (!albumExists(req.params.name) || !canViewAlbum(req.user, req.params.name)) {
+        return res.status(404).json({ error: 'Album not found' });
+    }
+    res.json(getAlbumPhotos(req.params.name));
+});
+
+// Photo IDs from a request body, resolved to photos; null if any can't be found (or the user
+// can't see it)
+function getRequestPhotos(ids, user) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+        return null;
+    }
+    const found = ids.map(findPhoto);
+    return found.some(photo => !photo || !canViewPhoto(user, photo)) ? null : found;
+}
+
+// Changing which albums photos are in needs the right to add to the album and to edit each photo
+function checkMembershipChange(user, albumName, photos) {
+    if (!canAddToAlbum(user, albumName)) {
+        return "You can't change that album";
+    }
+    if (!photos.every(photo => canEditPhoto(user, photo))) {
+        return 'You can only add or remove photos you uploaded';
+    }
+    return null;
+}
+
+// Add photos to an album without moving their files
+app.post('/api/albums/:name/photos', requireContributor, async (req, res) => {
+    const albumName = req.params.name;
+    if (!albumExists(albumName) || !canViewAlbum(req.user, albumName)) {
+        return res.status(404).json({ error: 'Album not found' });
+    }
+
+    try {
+        const updated = await store.transaction(() => {
+            const photos = getRequestPhotos(req.body.ids, req.user);
+            if (!photos) {
+                return null;
+            }
+            const forbidden = checkMembershipChange(req.user, albumName, photos);
+            if (forbidden) {
+                return { forbidden };
+            }
+            photos.forEach(photo => {
+                if (!getPhotoAlbums(photo).includes(albumName)) {
+                    photo.albums = [...getPhotoAlbums(photo), albumName];
+                }
+            });
+            return photos;
+        });
+
+        if (!updated) {
+            return res.status(400).json({ error: 'ids must list existing photos' });
+        }
+        if (updated.forbidden) {
+            return res.status(403).json({ error: updated.forbidden });
+        }
+
+        res.json({
+            success: true,
+            message: `Added ${updated.length} photo(s) to ${albumName}`,
+            photos: updated
+        });
+    } catch (error) {
+        console.error('Error adding photos to album:', error);
+        res.status(500).json({ error: 'Failed to add photos to album' });
+    }
+});
+
+// Remove photos from an album. Their files stay where they are stored.
+app.delete('/api/albums/:name/photos', requireContributor, async (req, res) => {
+    const albumName = req.params.name;
+    if (!albumExists(albumName) || !canViewAlbum(req.user, albumName)) {
+        return res.status(404).json({ error: 'Album not found' });
+    }
+
+    try {
+        const updated = await store.transaction(() => {
+            const photos = getRequestPhotos(req.body.ids, req.user);
+            if (!photos) {
+                return null;
+            }
+            const forbidden = checkMembershipChange(req.user, albumName, photos);
+            if (forbidden) {
+                return { forbidden };
+            }
+            const ids = photos.map(photo => photo.id);
+            photos.forEach(photo => {
+                photo.albums = getPhotoAlbums(photo).filter(album => album !== albumName);
+            });
+            const record = findAlbumRecord(albumName);
+            if (record) {
+                record.order = record.order.filter(id => !ids.includes(id));
+                if (ids.includes(record.coverPhotoId)) {
+                    record.coverPhotoId = null;
+                }
+            }
+            return photos;
+        });
+
+        if (!updated) {
+            return res.status(400).json({ error: 'ids must list existing photos' });
+        }
+        if (updated.forbidden) {
+            return res.status(403).json({ error: updated.forbidden });
+        }
+
+        res.json({
+            success: true,
+            message: `Removed ${updated.length} photo(s) from ${albumName}`,
+            photos: updated
+        });
+    } catch (error) {
+        console.error('Error removing photos from album:', error);
+        res.status(500).json({ error: 'Failed to remove photos from album' });
+    }
+});
+
+// Save a manual order for an album: ids lists its photos in the order they should appear
+app.put('/api/albums/:name/order', requireAdmin, async (req, res) => {
+    const albumName = req.params.name;
+    if (!albumExists(albumName)) {
+        return res.status(404).json({ error: 'Album not found' });
+    }
+    if (!Array.isArray(req.body.ids)) {
+        return res.status(400).json({ error: 'ids must be an array of photo IDs' });
+    }
+
+    try {
+        const result = await store.transaction(() => {
+            const photos = req.body.ids.map(findPhoto);
+            if (photos.some(photo => !photo || !getPhotoAlbums(photo).includes(albumName))) {
+                return null;
+            }
+            const record = getAlbumRecord(albumName);
+            record.order = [...new Set(photos.map(photo => photo.id))];
+            return record.order;
+        });
+
+        if (!result) {
+            return res.status(400).json({ error: 'ids must only list photos in the album' });
+        }
+
+        res.json({ success: true, message: 'Album order saved', order: result });
+    } catch (error) {
+        console.error('Error ordering album:', error);
+        res.status(500).json({ error: 'Failed to save album order' });
+    }
+});
+
+// Delete album
+app.delete('/api/albums/:name', requireAdmin, async (req, res) => {
+    try {
+        const albumName = req.params.name;
+        
+        if (albumName === DEFAULT_ALBUM) {
+            return res.status(400).json({ error: 'Cannot delete default album' });
+        }
+        
+        const albumPath = path.join(photosDir, albumName);
+        
+        if (!albumExists(albumName)) {
+            return res.status(404).json({ error: 'Album not found' });
+        }
+        
+        // Photos stored in the album have to be moved out first; ones that were only added to it
+        // just lose the membership
+        const photosInAlbum = store.photos.filter(p => p.album === albumName);
+        if (photosInAlbum.length > 0) {
+            return res.status(400).json({ error: 'Cannot delete album with photos stored in it. Move photos first.' });
+        }
+        
+        // Check if directory is empty
+        const files = fs.readdirSync(albumPath);
+        if (files.length > 0) {
+            return res.status(400).json({ error: 'Album directory is not empty' });
+        }
+        
+        await store.transaction(() => {
+            store.photos.forEach(photo => {
+                if (getPhotoAlbums(photo).includes(albumName)) {
+                    photo.albums = getPhotoAlbums(photo).filter(album => album !== albumName);
+                }
+            });
+            const records = store.collection('albums', []);
+            const index = records.findIndex(record => record.name === albumName);
+            if (index !== -1) {
+                records.splice(index, 1);
+            }
+            fs.rmdirSync(albumPath);
+        });
+        res.json({ success: true, message: 'Album deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting album:', error);
+        res.status(500).json({ error: 'Failed to delete album' });
+    }
+});
+
+// Smart albums are saved rules rather than directories. They're evaluated against the metadata on
+// every request, so contents and counts follow edits, and a photo can be in any number of them.
+const SMART_ALBUM_OPERATORS = {
+    tag: ['contains', 'not_contains'],
+    title: ['contains', 'not_contains', 'equals'],
+    description: ['contains', 'not_contains', 'equals'],
+    location: ['contains', 'not_contains', 'equals'],
+    album: ['equals', 'not_equals'],
+    date: ['in', 'before', 'after']
+};
+
+function getSmartAlbums() {
+    return store.collection('smartAlbums', []);
+}
+
+function findSmartAlbum(id) {
+    return getSmartAlbums().find(album => album.id === id);
+}
+
+// Check a { name, match, rules } body; returns the cleaned album or { error }
+function parseSmartAlbum(body) {
+    const name = String(body.name || '').trim();
+    if (!name) {
+        return { error: 'Smart album name is required' };
+    }
+
+    const match = body.match === 'any' ? 'any' : 'all';
+    if (!Array.isArray(body.rules) || body.rules.length === 0) {
+        return { error: 'A smart album needs at least one rule' };
+    }
+
+    const rules = [];
+    for (const rule of body.rules) {
+        const operators = SMART_ALBUM_OPERATORS[rule && rule.field];
+        if (!operators) {
+            return { error: `Unknown field. Use one of: ${Object.keys(SMART_ALBUM_OPERATORS).join(', ')}` };
+        }
+        if (!operators.includes(rule.op)) {
+            return { error: `A ${rule.field} rule can use: ${operators.join(', ')}` };
+        }
+        const value = String(rule.value === undefined || rule.value === null ? '' : rule.value).trim();
+        if (!value) {
+            return { error: `The ${rule.field} rule needs a value` };
+        }
+        if (rule.field === 'date' && !/^(\d{4}(-\d{2}(-\d{2})?)?)?(\.\.(\d{4}(-\d{2}(-\d{2})?)?)?)?$/.test(value)) {
+            return { error: 'Dates look like 2023, 2023-06, 2023-06-01 or a range such as 2023-01..2023-06' };
+        }
+        rules.push({ field: rule.field, op: rule.op, value: value });
+    }
+
+    return { name: name, match: match, rules: rules };
+}
+
+function matchesSmartRule(photo, rule) {
+    const value = rule.value.toLowerCase();
+
+    if (rule.field === 'tag') {
+        const hasTag = getPhotoTags(photo).includes(normalizeTags([value])[0]);
+        return rule.op === 'contains' ? hasTag : !hasTag;
+    }
+
+    if (rule.field === 'date') {
+        if (!photo.date) {
+            return false;
+        }
+        if (rule.op === 'before') {
+            return photo.date.slice(0, value.length) < value;
+        }
+        if (rule.op === 'after') {
+            return photo.date.slice(0, value.length) > value;
+        }
+        return matchesDateFilter(photo.date, value);
+    }
+
+    if (rule.field === 'album') {
+        const inAlbum = getPhotoAlbums(photo).some(album => album.toLowerCase() === value);
+        return rule.op === 'equals' ? inAlbum : !inAlbum;
+    }
+
+    const text = (photo[rule.field] || '').toLowerCase();
+    switch (rule.op) {
+        case 'equals':
+            return text === value;
+        case 'not_equals':
+            return text !== value;
+        case 'not_contains':
+            return !text.includes(value);
+        default:
+            return text.includes(value);
+    }
+}
+
+function matchesSmartAlbum(photo, album) {
+    return album.match === 'any'
+        ? album.rules.some(rule => matchesSmartRule(photo, rule))
+        : album.rules.every(rule => matchesSmartRule(photo, rule));
+}
+
+// The photos a smart album matches among those user can see
+function getSmartAlbumPhotos(album, user) {
+    return getVisiblePhotos(user).filter(photo => matchesSmartAlbum(photo, album));
+}
+
+function getSmartAlbumSummary(album, user) {
+    return { ...album, photoCount: getSmartAlbumPhotos(album, user).length };
+}
+
+// Get all smart albums with their current counts
+app.get('/api/smart-albums', (req, res) => {
+    res.json(getSmartAlbums().map(album => getSmartAlbumSummary(album, req.user)));
+});
+
+// Count what a set of rules would match, for the editor's preview
+app.post('/api/smart-albums/preview', requireAdmin, (req, res) => {
+    const parsed = parseSmartAlbum({ ...req.body, name: 'preview' });
+    if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+    }
+    res.json({ photoCount: getSmartAlbumPhotos(parsed, req.user).length });
+});
+
+// Create smart album
+app.post('/api/smart-albums', requireAdmin, async (req, res) => {
+    const parsed = parseSmartAlbum(req.body);
+    if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+    }
+
+    try {
+        const album = await store.transaction(() => {
+            const albums = getSmartAlbums();
+            if (albums.some(a => a.name.toLowerCase() === parsed.name.toLowerCase())) {
+                return null;
+            }
+            const created = { id: crypto.randomBytes(6).toString('hex'), ...parsed, createdAt: new Date().toISOString() };
+            albums.push(created);
+            return created;
+        });
+
+        if (!album) {
+            return res.status(409).json({ error: 'A smart album with that name already exists' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Smart album created successfully',
+            album: getSmartAlbumSummary(album, req.user)
+        });
+    } catch (error) {
+        console.error('Error creating smart album:', error);
+        res.status(500).json({ error: 'Failed to create smart album' });
+    }
+});
+
+// Get the photos a smart album currently matches
+app.get('/api/smart-albums/:id/photos', (req, res) => {
+    const album = findSmartAlbum(req.params.id);
+    if (!album) {
+        return res.status(404).json({ error: 'Smart album not found' });
+    }
+    res.json(getSmartAlbumPhotos(album, req.user));
+});
+
+// Replace a smart album's name and rules
+app.put('/api/smart-albums/:id', requireAdmin, async (req, res) => {
+    const parsed = parseSmartAlbum(req.body);
+    if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+    }
+
+    try {
+        const result = await store.transaction(() => {
+            const albums = getSmartAlbums();
+            const album = albums.find(a => a.id === req.params.id);
+            if (!album) {
+                return { status: 404, error: 'Smart album not found' };
+            }
+            if (albums.some(a => a !== album && a.name.toLowerCase() === parsed.name.toLowerCase())) {
+                return { status: 409, error: 'A smart album with that name already exists' };
+            }
+            Object.assign(album, parsed, { modifiedAt: new Date().toISOString() });
+            return { album: album };
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({
+            success: true,
+            message: 'Smart album updated successfully',
+            album: getSmartAlbumSummary(result.album, req.user)
+        });
+    } catch (error) {
+        console.error('Error updating smart album:', error);
+        res.status(500).json({ error: 'Failed to update smart album' });
+    }
+});
+
+// Delete smart album (the photos are untouched)
+app.delete('/api/smart-albums/:id', requireAdmin, async (req, res) => {
+    try {
+        const deleted = await store.transaction(() => {
+            const albums = getSmartAlbums();
+            const index = albums.findIndex(a => a.id === req.params.id);
+            if (index === -1) {
+                return false;
+            }
+            albums.splice(index, 1);
+            return true;
+        });
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Smart album not found' });
+        }
+
+        res.json({ success: true, message: 'Smart album deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting smart album:', error);
+        res.status(500).json({ error: 'Failed to delete smart album' });
+    }
+});
+
+// Share links: read-only views of an album or a selection at /s/:token. Tokens are random and
+// unguessable. The public routes under /s/ only serve the share's own photos, as resized JPEG
+// renditions (which carry no EXIF, so no GPS), with the metadata cut down to what a viewer needs.
+function getShares() {
+    return store.collection('shares', []);
+}
+
+function findShare(token) {
+    return getShares().find(share => share.token === token);
+}
+
+function isShareExpired(share) {
+    return !!share.expiresAt && Date.parse(share.expiresAt) <= Date.now();
+}
+
+// An album share follows the album as it changes; a selection keeps the photos that still exist
+function getSharePhotos(share) {
+    if (share.album) {
+        return albumExists(share.album) ? getAlbumPhotos(share.album) : [];
+    }
+    return share.photoIds.map(id => store.photos.find(photo => photo.id === id)).filter(Boolean);
+}
+
+function getShareSummary(share) {
+    return {
+        token: share.token,
+        url: `/s/${share.token}`,
+        title: share.title,
+        album: share.album,
+        photoCount: getSharePhotos(share).length,
+        hasPassword: !!share.passwordHash,
+        expiresAt: share.expiresAt,
+        expired: isShareExpired(share),
+        createdBy: share.createdBy || null,
+        createdAt: share.createdAt
+    };
+}
+
+// What a viewer of a share sees of a photo: no coordinates, and no location when it's only
+// coordinates as text
+function getSharedPhoto(photo) {
+    const location = photo.location || '';
+    return {
+        id: photo.id,
+        title: photo.title === 'Untitled' ? '' : photo.title || '',
+        date: photo.date || '',
+        description: photo.description || '',
+        location: COORDINATE_TEXT.test(location) ? '' : location,
+        width: photo.width,
+        height: photo.height
+    };
+}
+
+// The cookie set after the password is entered. It's derived from the password hash, so it
+// survives restarts and stops working if the share is recreated with a new password.
+function getShareAccessKey(share) {
+    return crypto.createHmac('sha256', share.passwordHash).update(share.token).digest('hex');
+}
+
+function hasShareAccess(req, share) {
+    if (!share.passwordHash) {
+        return true;
+    }
+    const cookie = getCookie(req, `share_${share.token}`) || '';
+    const expected = getShareAccessKey(share);
+    return cookie.length === expected.length && crypto.timingSafeEqual(Buffer.from(cookie), Buffer.from(expected));
+}
+
+// Admins manage every share link; contributors only the ones they created
+function canManageShare(user, share) {
+    return user.role === 'admin' || share.createdBy === user.id;
+}
+
+// List share links for the admin view
+app.get('/api/shares', requireContributor, (req, res) => {
+    const shares = getShares()
+        .filter(share => canManageShare(req.user, share))
+        .map(getShareSummary)
+        .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+    res.json(shares);
+});
+
+// Create a share link for an album or a selection of photos, optionally with an expiry date
+// and a password
+app.post('/api/shares', requireContributor, async (req, res) => {
+    const { album, ids, password } = req.body;
+
+    if (!album === !ids) {
+        return res.status(400).json({ error: 'Share either an album or a list of photo ids' });
+    }
+    if (album && (!albumExists(album) || !canViewAlbum(req.user, album))) {
+        return res.status(404).json({ error: 'Album not found' });
+    }
+
+    let expiresAt = null;
+    if (req.body.expiresAt) {
+        const time = Date.parse(req.body.expiresAt);
+        if (Number.isNaN(time)) {
+            return res.status(400).json({ error: 'expiresAt must be a date' });
+        }
+        if (time <= Date.now()) {
+            return res.status(400).json({ error: 'The expiry date must be in the future' });
+        }
+        expiresAt = new Date(time).toISOString();
+    }
+
+    try {
+        const share = await store.transaction(() => {
+            const photos = ids ? getRequestPhotos(ids, req.user) : null;
+            if (ids && !photos) {
+                return null;
+            }
+
+            const share = {
+                token: crypto.randomBytes(18).toString('base64url'),
+                title: String(req.body.title || '').trim() ||
+                    (album ? album.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()) : `${photos.length} photo${photos.length !== 1 ? 's' : ''}`),
+                album: album || null,
+                photoIds: photos ? [...new Set(photos.map(photo => photo.id))] : null,
+                expiresAt: expiresAt,
+                passwordHash: null,
+                passwordSalt: null,
+                createdBy: req.user.id,
+                createdAt: new Date().toISOString()
+            };
+            if (password) {
+                share.passwordSalt = crypto.randomBytes(16).toString('hex');
+                share.passwordHash = hashPassword(password, share.passwordSalt);
+            }
+            getShares().push(share);
+            return share;
+        });
+
+        if (!share) {
+            return res.status(400).json({ error: 'ids must list existing photos' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Share link created',
+            share: getShareSummary(share)
+        });
+    } catch (error) {
+        console.error('Error creating share link:', error);
+        res.status(500).json({ error: 'Failed to create share link' });
+    }
+});
+
+// Revoke a share link; the URL stops working immediately
+app.delete('/api/shares/:token', requireContributor, async (req, res) => {
+    try {
+        const revoked = await store.transaction(() => {
+            const shares = getShares();
+            const index = shares.findIndex(share => share.token === req.params.token);
+            if (index === -1 || !canManageShare(req.user, shares[index])) {
+                return false;
+            }
+            shares.splice(index, 1);
+            return true;
+        });
+
+        if (!revoked) {
+            return res.status(404).json({ error: 'Share link not found' });
+        }
+
+        res.json({ success: true, message: 'Share link revoked' });
+    } catch (error) {
+        console.error('Error revoking share link:', error);
+        res.status(500).json({ error: 'Failed to revoke share link' });
+    }
+});
+
+// The public share page; it loads everything else from /s/:token/...
+app.get('/s/:token', (req, res) => {
+    res.sendFile(path.join(__dirname, 'share.html'));
+});
+
+// Public share routes resolve the token first: unknown or revoked links are 404, expired ones 410
+app.param('shareToken', (req, res, next, token) => {
+    const share = findShare(token);
+    if (!share) {
+        return res.status(404).json({ error: "This link doesn't exist or has been revoked" });
+    }
+    if (isShareExpired(share)) {
+        return res.status(410).json({ error: 'This link has expired' });
+    }
+    req.share = share;
+    next();
+});
+
+// The share's title and photos, or 401 until the password has been entered
+app.get('/s/:shareToken/info', (req, res) => {
+    const share = req.share;
+    if (!hasShareAccess(req, share)) {
+        return res.status(401).json({ error: 'This link is password protected', passwordRequired: true, title: share.title });
+    }
+    res.json({
+        title: share.title,
+        expiresAt: share.expiresAt,
+        photos: getSharePhotos(share).map(getSharedPhoto)
+    });
+});
+
+// Check a share's password and remember it in a cookie scoped to the share
+app.post('/s/:shareToken/unlock', async (req, res) => {
+    const share = req.share;
+    if (!share.passwordHash) {
+        return res.json({ success: true });
+    }
+
+    const attemptKey = `share:${share.token}:${req.ip}`;
+    const retryAfter = countPasswordAttempt([attemptKey]);
+    if (retryAfter > 0) {
+        return sendTooManyAttempts(res, retryAfter);
+    }
+
+    try {
+        if (!await checkPassword(req.body.password || '', share.passwordSalt, share.passwordHash)) {
+            return res.status(403).json({ error: 'Wrong password' });
+        }
+    } catch (error) {
+        console.error('Error checking share password:', error);
+        return res.status(500).json({ error: 'Failed to check the password' });
+    }
+    passwordAttempts.delete(attemptKey);
+
+    res.cookie(`share_${share.token}`, getShareAccessKey(share), {
+        path: `/s/${share.token}`,
+        httpOnly: true,
+        sameSite: 'lax',
+        expires: share.expiresAt ? new Date(share.expiresAt) : undefined
+    });
+    res.json({ success: true });
+});
+
+// A resized copy of one of the share's photos. There's deliberately no fallback to the original
+// file, since that would include its EXIF.
+app.get('/s/:shareToken/photos/:sharedPhotoId', async (req, res) => {
+    const share = req.share;
+    if (!hasShareAccess(req, share)) {
+        return res.status(401).json({ error: 'This link is password protected', passwordRequired: true });
+    }
+
+    const size = req.query.size || 'thumb';
+    if (!RENDITION_SIZES[size]) {
+        return res.status(400).json({ error: `Invalid size. Use one of: ${Object.keys(RENDITION_SIZES).join(', ')}` });
+    }
+
+    const photo = getSharePhotos(share).find(p => p.id === req.params.sharedPhotoId);
+    if (!photo) {
+        return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    try {
+        const renditionPath = await ensureRendition(getPhotoPath(photo), photo.filename, size);
+        res.set('Cache-Control', 'private, max-age=3600');
+        res.sendFile(renditionPath);
+    } catch (error) {
+        console.error(`Error generating ${size} rendition for shared photo ${photo.filename}:`, error);
+        res.status(500).json({ error: 'Failed to load photo' });
+    }
+});
+
+// List all tags with the number of photos using each
+app.get('/api/tags', (req, res) => {
+    const counts = new Map();
+    getVisiblePhotos(req.user).forEach(photo => {
+        getPhotoTags(photo).forEach(tag => {
+            counts.set(tag, (counts.get(tag) || 0) + 1);
+        });
+    });
+
+    const tags = Array.from(counts, ([name, count]) => ({ name, count }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+    res.json(tags);
+});
+
+// Replace every source tag with the target tag, returning how many photos changed
+function replaceTags(sources, target) {
+    let updatedCount = 0;
+    store.photos.forEach(photo => {
+        const photoTags = getPhotoTags(photo);
+        if (photoTags.some(tag => sources.includes(tag))) {
+            photo.tags = normalizeTags(photoTags.map(tag => sources.includes(tag) ? target : tag));
+            updatedCount++;
+        }
+    });
+    return updatedCount;
+}
+
+// Rename a tag on every photo
+app.put('/api/tags/:name', requireAdmin, async (req, res) => {
+    try {
+        const [oldName] = normalizeTags(req.params.name);
+        const [newName] = normalizeTags(req.body.newName);
+
+        if (!oldName || !newName) {
+            return res.status(400).json({ error: 'Tag name and new name are required' });
+        }
+
+        const allTags = new Set(store.photos.flatMap(getPhotoTags));
+        if (!allTags.has(oldName)) {
+            return res.status(404).json({ error: 'Tag not found' });
+        }
+        if (oldName !== newName && allTags.has(newName)) {
+            return res.status(409).json({ error: 'Tag already exists. Merge the tags instead.' });
+        }
+
+        const updatedCount = await store.transaction(() => replaceTags([oldName], newName));
+
+        res.json({
+            success: true,
+            message: `Tag renamed on ${updatedCount} photo(s)`,
+            tag: newName
+        });
+    } catch (error) {
+        console.error('Error renaming tag:', error);
+        res.status(500).json({ error: 'Failed to rename tag' });
+    }
+});
+
+// Merge one or more tags into a target tag
+app.post('/api/tags/merge', requireAdmin, async (req, res) => {
+    try {
+        const sources = normalizeTags(req.body.sources);
+        const [target] = normalizeTags(req.body.target);
+
+        if (sources.length === 0 || !target) {
+            return res.status(400).json({ error: 'Source tags and a target tag are required' });
+        }
+
+        const updatedCount = await store.transaction(() => replaceTags(sources, target));
+
+        res.json({
+            success: true,
+            message: `Tags merged on ${updatedCount} photo(s)`,
+            tag: target
+        });
+    } catch (error) {
+        console.error('Error merging tags:', error);
+        res.status(500).json({ error: 'Failed to merge tags' });
+    }
+});
+
+// Crop photo
+app.post('/api/photos/:photoId/crop', requirePhotoEdit, requireStillImage, async (req, res) => {
+    try {
+        const { x, y, width, height } = req.body;
+
+        // Validate crop parameters
+        if (!x && x !== 0 || !y && y !== 0 || !width || !height) {
+            return res.status(400).json({ error: 'Invalid crop parameters' });
+        }
+
+        if (!fs.existsSync(getPhotoPath(req.photo))) {
+            return res.status(404).json({ error: 'Photo file not found' });
+        }
+
+        const photo = await updatePhoto(req.photo.id, async (photo) => {
+            const filePath = getPhotoPath(photo);
+
+            // Crop coordinates are relative to the image as currently rendered
+            const metadata = await sharp(filePath).metadata();
+            const clampedX = Math.max(0, Math.min(x, metadata.width - 1));
+            const clampedY = Math.max(0, Math.min(y, metadata.height - 1));
+            const clampedWidth = Math.max(1, Math.min(width, metadata.width - clampedX));
+            const clampedHeight = Math.max(1, Math.min(height, metadata.height - clampedY));
+
+            await applyEdit(photo, filePath, {
+                type: 'crop',
+                left: clampedX,
+                top: clampedY,
+                width: clampedWidth,
+                height: clampedHeight
+            });
+        });
+        if (!photo) {
+            return res.status(404).json({ error: 'Photo not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Photo cropped successfully',
+            filename: photo.filename,
+            history: getEditHistory(photo)
+        });
+    } catch (error) {
+        console.error('Error cropping photo:', error);
+        res.status(500).json({ error: 'Failed to crop photo: ' + error.message });
+    }
+});
+
+// Apply a validated edit operation through the edit history and respond with the new history
+async function handleEditRequest(req, res, operation, message) {
+    try {
+        if (!fs.existsSync(getPhotoPath(req.photo))) {
+            return res.status(404).json({ error: 'Photo file not found' });
+        }
+
+        const photo = await updatePhoto(req.photo.id, (photo) => applyEdit(photo, getPhotoPath(photo), operation));
+        if (!photo) {
+            return res.status(404).json({ error: 'Photo not found' });
+        }
+
+        res.json({
+            success: true,
+            message: message,
+            filename: photo.filename,
+            history: getEditHistory(photo)
+        });
+    } catch (error) {
+        console.error(`Error applying ${operation.type}:`, error);
+        res.status(500).json({ error: `Failed to ${operation.type} photo: ` + error.message });
+    }
+}
+
+// Rotate photo by a multiple of 90 degrees (clockwise)
+app.post('/api/photos/:photoId/rotate', requirePhotoEdit, requireStillImage, (req, res) => {
+    const angle = Number(req.body.angle);
+    if (![90, 180, 270, -90].includes(angle)) {
+        return res.status(400).json({ error: 'Angle must be 90, 180, 270 or -90' });
+    }
+    handleEditRequest(req, res, { type: 'rotate', angle: (angle + 360) % 360 }, 'Photo rotated successfully');
+});
+
+// Flip photo horizontally (mirror) or vertically
+app.post('/api/photos/:photoId/flip', requirePhotoEdit, requireStillImage, (req, res) => {
+    const { direction } = req.body;
+    if (direction !== 'horizontal' && direction !== 'vertical') {
+        return res.status(400).json({ error: 'Direction must be horizontal or vertical' });
+    }
+    handleEditRequest(req, res, { type: 'flip', direction: direction }, 'Photo flipped successfully');
+});
+
+// Straighten photo by a small arbitrary angle, cropping away the empty corners
+app.post('/api/photos/:photoId/straighten', requirePhotoEdit, requireStillImage, (req, res) => {
+    const angle = Number(req.body.angle);
+    if (!Number.isFinite(angle) || angle === 0 || Math.abs(angle) > 45) {
+        return res.status(400).json({ error: 'Angle must be a non-zero number between -45 and 45' });
+    }
+    handleEditRequest(req, res, { type: 'straighten', angle: angle }, 'Photo straightened successfully');
+});
+
+// Adjust brightness, contrast and saturation (-100 to 100) and sharpen (0 to 100)
+app.post('/api/photos/:photoId/adjust', requirePhotoEdit, requireStillImage, (req, res) => {
+    const ranges = { brightness: [-100, 100], contrast: [-100, 100], saturation: [-100, 100], sharpen: [0, 100] };
+    const operation = { type: 'adjust' };
+
+    for (const [key, [min, max]] of Object.entries(ranges)) {
+        if (req.body[key] === undefined || req.body[key] === '') {
+            continue;
+        }
+        const value = Number(req.body[key]);
+        if (!Number.isFinite(value) || value < min || value > max) {
+            return res.status(400).json({ error: `${key} must be between ${min} and ${max}` });
+        }
+        if (value !== 0) {
+            operation[key] = value;
+        }
+    }
+
+    if (Object.keys(operation).length === 1) {
+        return res.status(400).json({ error: 'No adjustments given' });
+    }
+    handleEditRequest(req, res, operation, 'Photo adjusted successfully');
+});
+
+// Get the edit history of a photo
+app.get('/api/photos/:photoId/history', (req, res) => {
+    res.json(getEditHistory(req.photo));
+});
+
+// Revert a photo to any step of its history (0 is the untouched original).
+// Later steps are kept so they can be re-applied until a new edit replaces them.
+app.post('/api/photos/:photoId/history/revert', requirePhotoEdit, requireStillImage, async (req, res) => {
+    try {
+        const step = Number(req.body.step);
+
+        const edits = req.photo.edits || [];
+        if (!Number.isInteger(step) || step < 0 || step > edits.length) {
+            return res.status(400).json({ error: `Step must be between 0 and ${edits.length}` });
+        }
+
+        if (!fs.existsSync(getOriginalPath(req.photo.filename))) {
+            return res.status(404).json({ error: 'No original found for this photo' });
+        }
+
+        const photo = await updatePhoto(req.photo.id, (photo) => {
+            photo.editPosition = Math.min(step, (photo.edits || []).length);
+            return renderEdits(photo, getPhotoPath(photo));
+        });
+        if (!photo) {
+            return res.status(404).json({ error: 'Photo not found' });
+        }
+
+        res.json({
+            success: true,
+            message: step === 0 ? 'Photo reverted to original' : `Photo reverted to step ${step}`,
+            filename: photo.filename,
+            history: getEditHistory(photo)
+        });
+    } catch (error) {
+        console.error('Error reverting photo:', error);
+        res.status(500).json({ error: 'Failed to revert photo: ' + error.message });
+    }
+});
+
+// Check if photo has an untouched original to go back to (kept for older clients)
+app.get('/api/photos/:photoId/backup', requirePhotoEdit, (req, res) => {
+    try {
+        res.json({
+            exists: getActiveEdits(req.photo).length > 0,
+            filename: req.photo.filename
+        });
+    } catch (error) {
+        console.error('Error checking backup:', error);
+        res.status(500).json({ error: 'Failed to check backup' });
+    }
+});
+
+// Restore photo to its original (kept for older clients; same as reverting to step 0)
+app.post('/api/photos/:photoId/restore', requirePhotoEdit, requireStillImage, async (req, res) => {
+    try {
+        const photo = req.photo;
+
+        if (getActiveEdits(photo).length === 0 || !fs.existsSync(getOriginalPath(photo.filename))) {
+            return res.status(404).json({ error: 'No backup found for this photo' });
+        }
+
+        await updatePhoto(photo.id, (photo) => {
+            photo.editPosition = 0;
+            return renderEdits(photo, getPhotoPath(photo));
+        });
+
+        res.json({
+            success: true,
+            message: 'Photo restored from backup successfully',
+            filename: photo.filename
+        });
+    } catch (error) {
+        console.error('Error restoring from backup:', error);
+        res.status(500).json({ error: 'Failed to restore from backup: ' + error.message });
+    }
+});
+
+// Group likely duplicates: photos are linked when their hashes match, and links are transitive
+app.get('/api/duplicates', requireAdmin, (req, res) => {
+    const hashed = store.photos.filter(photo => photo.contentHash || photo.perceptualHash);
+    const parent = hashed.map((photo, index) => index);
+    const find = index => parent[index] === index ? index : (parent[index] = find(parent[index]));
+
+    for (let i = 0; i < hashed.length; i++) {
+        for (let j = i + 1; j < hashed.length; j++) {
+            if (getDuplicateDistance(hashed[i], hashed[j]) !== null) {
+                parent[find(j)] = find(i);
+            }
+        }
+    }
+
+    const groupsByRoot = new Map();
+    hashed.forEach((photo, index) => {
+        const root = find(index);
+        if (!groupsByRoot.has(root)) {
+            groupsByRoot.set(root, []);
+        }
+        groupsByRoot.get(root).push(photo);
+    });
+
+    const groups = Array.from(groupsByRoot.values())
+        .filter(group => group.length > 1)
+        .map(group => ({
+            exact: group.every(photo => photo.contentHash === group[0].contentHash),
+            photos: group
+        }));
+
+    res.json({
+        groups: groups,
+        pending: store.photos.length - hashed.length
+    });
+});
+
+// Resolve a duplicate group: keep one photo, delete the rest, optionally merging their metadata
+app.post('/api/duplicates/resolve', requireAdmin, async (req, res) => {
+    try {
+        const { keep, remove, mergeMetadata } = req.body;
+
+        if (!keep || !Array.isArray(remove) || remove.length === 0) {
+            return res.status(400).json({ error: 'A photo to keep and photos to remove are required' });
+        }
+        if (remove.includes(keep)) {
+            return res.status(400).json({ error: 'Cannot remove the photo being kept' });
+        }
+
+        const kept = await store.transaction(() => {
+            const kept = findPhoto(keep);
+            const removed = remove.map(findPhoto);
+            if (!kept || removed.includes(undefined) || removed.includes(kept)) {
+                return null;
+            }
+
+            if (mergeMetadata) {
+                removed.forEach(photo => {
+                    kept.tags = normalizeTags([...getPhotoTags(kept), ...getPhotoTags(photo)]);
+                    kept.albums = [...new Set([...getPhotoAlbums(kept), ...getPhotoAlbums(photo)])];
+                    if ((!kept.title || kept.title === 'Untitled') && photo.title && photo.title !== 'Untitled') {
+                        kept.title = photo.title;
+                    }
+                    ['description', 'location', 'takenAt', 'latitude', 'longitude', 'altitude', 'camera'].forEach(field => {
+                        if ((kept[field] === undefined || kept[field] === '') && photo[field] !== undefined && photo[field] !== '') {
+                            kept[field] = photo[field];
+                        }
+                    });
+                });
+            }
+
+            removed.forEach(photo => trashPhoto(store.photos.indexOf(photo), req.user));
+            return kept;
+        });
+
+        if (!kept) {
+            return res.status(404).json({ error: 'Photo not found' });
+        }
+
+        res.json({
+            success: true,
+            message: `Kept ${keep} and removed ${remove.length} duplicate(s)`,
+            photo: kept
+        });
+    } catch (error) {
+        console.error('Error resolving duplicates:', error);
+        res.status(500).json({ error: 'Failed to resolve duplicates' });
+    }
+});
+
+// Map: Leaflet, the clustering plugin and a country-outline basemap are served from node_modules,
+// so the map works without an internet connection
+function getPackageDir(name) {
+    return path.dirname(require.resolve(`${name}/package.json`));
+}
+
+app.use('/vendor/leaflet', express.static(path.join(getPackageDir('leaflet'), 'dist')));
+app.use('/vendor/leaflet.markercluster', express.static(path.join(getPackageDir('leaflet.markercluster'), 'dist')));
+app.use('/vendor/topojson-client', express.static(path.join(getPackageDir('topojson-client'), 'dist')));
+
+const basemapFile = path.join(getPackageDir('world-atlas'), 'countries-50m.json');
+
+app.get('/api/map/basemap', (req, res) => {
+    res.sendFile(basemapFile, { maxAge: '7d' });
+});
+
+// Raster tiles are optional: drop a tiles/{z}/{x}/{y}.png pyramid next to server.js, or point
+// MAP_TILE_URL at a tile server. Without either the map draws the bundled country outlines.
+const tilesDir = path.join(__dirname, 'tiles');
+if (fs.existsSync(tilesDir)) {
+    app.use('/tiles', express.static(tilesDir));
+}
+
+app.get('/api/map/config', (req, res) => {
+    let tileUrl = process.env.MAP_TILE_URL || null;
+    if (!tileUrl && fs.existsSync(tilesDir)) {
+        tileUrl = '/tiles/{z}/{x}/{y}.png';
+    }
+    res.json({
+        tileUrl: tileUrl,
+        attribution: process.env.MAP_TILE_ATTRIBUTION || '',
+        maxZoom: parseInt(process.env.MAP_MAX_ZOOM, 10) || 18
+    });
+});
+
+// Geocoding is a lookup in a local gazetteer: the cities in gazetteer.json, a point inside each
+// country of the basemap, and any place name in the library that already has coordinates
+function normalizePlaceName(name) {
+    return String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+// Area-weighted centroid of a country's largest polygon (so France lands in France, not the Atlantic)
+function getCountryCentroid(geometry) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    let best = null;
+    polygons.forEach(polygon => {
+        const ring = polygon[0];
+        let area = 0;
+        let x = 0;
+        let y = 0;
+        for (let i = 0; i < ring.length - 1; i++) {
+            const cross = ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+            area += cross;
+            x += (ring[i][0] + ring[i + 1][0]) * cross;
+            y += (ring[i][1] + ring[i + 1][1]) * cross;
+        }
+        if (area !== 0 && (!best || Math.abs(area) > Math.abs(best.area))) {
+            best = { area: area, longitude: x / (3 * area), latitude: y / (3 * area) };
+        }
+    });
+    return best;
+}
+
+function loadGazetteer() {
+    const places = require('./gazetteer.json').map(city => ({ ...city, source: 'city' }));
+
+    const topology = JSON.parse(fs.readFileSync(basemapFile, 'utf8'));
+    topojson.feature(topology, topology.objects.countries).features.forEach(country => {
+        const centroid = country.geometry && getCountryCentroid(country.geometry);
+        if (centroid) {
+            places.push({
+                name: country.properties.name,
+                country: country.properties.name,
+                latitude: Math.round(centroid.latitude * 10000) / 10000,
+                longitude: Math.round(centroid.longitude * 10000) / 10000,
+                source: 'country'
+            });
+        }
+    });
+
+    return places.map(place => ({ ...place, key: normalizePlaceName(place.name), countryKey: normalizePlaceName(place.country) }));
+}
+
+const gazetteer = loadGazetteer();
+
+// Location text that is just "lat, lon" (filled in from EXIF at upload) isn't a place name
+const COORDINATE_TEXT = /^\s*-?\d+(\.\d+)?\s*,\s*-?\d+(\.\d+)?\s*$/;
+
+function getLibraryPlaces(user) {
+    const places = new Map();
+    getVisiblePhotos(user).forEach(photo => {
+        if (typeof photo.latitude !== 'number' || !photo.location || COORDINATE_TEXT.test(photo.location)) {
+            return;
+        }
+        const key = normalizePlaceName(photo.location);
+        if (!places.has(key)) {
+            places.set(key, {
+                name: photo.location.trim(),
+                country: '',
+                latitude: photo.latitude,
+                longitude: photo.longitude,
+                source: 'library',
+                key: key,
+                countryKey: ''
+            });
+        }
+    });
+    return [...places.values()];
+}
+
+const GEOCODE_SOURCE_ORDER = ['library', 'city', 'country'];
+
+// "Paris" or "Paris, France": exact names beat prefixes beat substrings; the part after the
+// comma narrows by country, and bigger cities win ties
+function geocode(query, limit, user) {
+    const [name, qualifier] = normalizePlaceName(query).split(/\s*,\s*/);
+    if (!name) {
+        return [];
+    }
+
+    const matches = [];
+    [...getLibraryPlaces(user), ...gazetteer].forEach(place => {
+        let score = 0;
+        if (place.key === name) {
+            score = 3;
+        } else if (place.key.startsWith(name)) {
+            score = 2;
+        } else if (name.length >= 3 && place.key.includes(name)) {
+            score = 1;
+        }
+        if (score === 0 || (qualifier && !place.countryKey.startsWith(qualifier) && !place.key.includes(qualifier))) {
+            return;
+        }
+        matches.push({ place: place, score: score });
+    });
+
+    matches.sort((a, b) =>
+        b.score - a.score ||
+        GEOCODE_SOURCE_ORDER.indexOf(a.place.source) - GEOCODE_SOURCE_ORDER.indexOf(b.place.source) ||
+        (b.place.population || 0) - (a.place.population || 0)
+    );
+
+    return matches.slice(0, limit).map(({ place }) => ({
+        name: place.name,
+        country: place.country,
+        latitude: place.latitude,
+        longitude: place.longitude,
+        source: place.source
+    }));
+}
+
+app.get('/api/geocode', (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    res.json({ results: geocode(req.query.q || '', limit, req.user) });
+});
+
+// Sidecar formats offered by the export routes
+const EXPORT_SIDECAR_FORMATS = ['json', 'xmp', 'none'];
+
+// Fields written to sidecars (and read back by imports)
+function getSidecarMetadata(photo) {
+    const metadata = {
+        title: photo.title || '',
+        description: photo.description || '',
+        tags: getPhotoTags(photo),
+        location: photo.location || '',
+        date: photo.date || '',
+        album: photo.album || DEFAULT_ALBUM,
+        albums: getPhotoAlbums(photo),
+        originalName: photo.originalName || photo.filename
+    };
+    if (photo.takenAt) {
+        metadata.takenAt = photo.takenAt;
+    }
+    if (photo.latitude !== undefined && photo.longitude !== undefined) {
+        metadata.latitude = photo.latitude;
+        metadata.longitude = photo.longitude;
+    }
+    return metadata;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// XMP coordinates use "DDD,MM.mmmmR" with a hemisphere letter
+function formatXmpCoordinate(value, positive, negative) {
+    const absolute = Math.abs(value);
+    const degrees = Math.floor(absolute);
+    const minutes = ((absolute - degrees) * 60).toFixed(4);
+    return `${degrees},${minutes}${value < 0 ? negative : positive}`;
+}
+
+// XMP packet with Dublin Core, Photoshop and IPTC Core fields that other photo tools understand
+function buildXmp(photo) {
+    const metadata = getSidecarMetadata(photo);
+    const attributes = [
+        `photoshop:DateCreated="${escapeXml(metadata.takenAt || metadata.date)}"`
+    ];
+    if (metadata.location) {
+        attributes.push(`Iptc4xmpCore:Location="${escapeXml(metadata.location)}"`);
+    }
+    if (metadata.latitude !== undefined) {
+        attributes.push(`exif:GPSLatitude="${formatXmpCoordinate(metadata.latitude, 'N', 'S')}"`);
+        attributes.push(`exif:GPSLongitude="${formatXmpCoordinate(metadata.longitude, 'E', 'W')}"`);
+    }
+
+    const tags = metadata.tags.map(tag => `<rdf:li>${escapeXml(tag)}</rdf:li>`).join('');
+    return `<?xpacket begin="\ufeff" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about=""
+    xmlns:dc="http://purl.org/dc/elements/1.1/"
+    xmlns:photoshop="http://ns.adobe.com/photoshop/1.0/"
+    xmlns:Iptc4xmpCore="http://iptc.org/std/Iptc4xmpCore/1.0/xmlns/"
+    xmlns:exif="http://ns.adobe.com/exif/1.0/"
+    ${attributes.join('\n    ')}>
+   <dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(metadata.title)}</rdf:li></rdf:Alt></dc:title>
+   <dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(metadata.description)}</rdf:li></rdf:Alt></dc:description>
+   <dc:subject><rdf:Bag>${tags}</rdf:Bag></dc:subject>
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+// EXIF rationals for a decimal coordinate: "deg/1 min/1 sec*100/100"
+function toExifRational(value) {
+    const absolute = Math.abs(value);
+    const degrees = Math.floor(absolute);
+    const minutes = Math.floor((absolute - degrees) * 60);
+    const seconds = Math.round(((absolute - degrees) * 60 - minutes) * 60 * 100);
+    return `${degrees}/1 ${minutes}/1 ${seconds}/100`;
+}
+
+// Re-encode a JPEG with title/description/date/GPS in EXIF and the full field set in XMP
+async function embedMetadata(filePath, photo) {
+    const metadata = getSidecarMetadata(photo);
+    const exif = {
+        IFD0: {
+            ImageDescription: metadata.description || metadata.title
+        }
+    };
+    if (metadata.takenAt || metadata.date) {
+        exif.IFD2 = {
+            DateTimeOriginal: (metadata.takenAt || `${metadata.date}T00:00:00`).replace('T', ' ').replace(/-/g, ':')
+        };
+    }
+    if (metadata.latitude !== undefined) {
+        exif.IFD3 = {
+            GPSLatitudeRef: metadata.latitude < 0 ? 'S' : 'N',
+            GPSLatitude: toExifRational(metadata.latitude),
+            GPSLongitudeRef: metadata.longitude < 0 ? 'W' : 'E',
+            GPSLongitude: toExifRational(metadata.longitude)
+        };
+    }
+
+    return sharp(filePath)
+        .keepMetadata()
+        .withExifMerge(exif)
+        .withXmp(buildXmp(photo))
+        .jpeg({ quality: 90, progressive: true })
+        .toBuffer();
+}
+
+// Read export options from a query string or form body
+function getExportOptions(source) {
+    const sidecar = EXPORT_SIDECAR_FORMATS.includes(source.sidecar) ? source.sidecar : 'json';
+    const embed = ['1', 'true', 'on'].includes(String(source.embed));
+    return { sidecar, embed };
+}
+
+// Stream a ZIP of photos, each with a metadata sidecar (photo.jpg.json or photo.xmp).
+// With folders, entries are grouped under their album name.
+async function streamPhotoExport(res, photos, archiveName, options) {
+    const archive = archiver('zip');
+    archive.on('warning', err => console.error('Export warning:', err));
+    archive.on('error', err => {
+        console.error('Export error:', err);
+        res.destroy(err);
+    });
+
+    res.attachment(`${archiveName}.zip`);
+    archive.pipe(res);
+
+    for (const photo of photos) {
+        const filePath = path.join(photosDir, photo.album || DEFAULT_ALBUM, photo.filename);
+        if (!fs.existsSync(filePath)) {
+            continue;
+        }
+
+        const entryDir = options.folders ? `${photo.album || DEFAULT_ALBUM}/` : '';
+        const entryName = entryDir + photo.filename;
+
+        // Images are already compressed, so store them rather than deflating again
+        if (options.embed && /\.jpe?g$/i.test(photo.filename)) {
+            try {
+                archive.append(await embedMetadata(filePath, photo), { name: entryName, store: true });
+            } catch (err) {
+                console.error(`Failed to embed metadata in ${photo.filename}:`, err.message);
+                archive.file(filePath, { name: entryName, store: true });
+            }
+        } else {
+            archive.file(filePath, { name: entryName, store: true });
+        }
+
+        // A Live Photo's clip goes next to its still, under the same name
+        if (photo.liveVideo && fs.existsSync(getLiveVideoPath(photo))) {
+            const clipName = path.basename(photo.filename, path.extname(photo.filename)) + path.extname(photo.liveVideo.file);
+            archive.file(getLiveVideoPath(photo), { name: entryDir + clipName, store: true });
+        }
 
-// Serve static files with album support
-app.use('/photos', express.static(photosDir));
+        if (options.sidecar === 'json') {
+            archive.append(JSON.stringify(getSidecarMetadata(photo), null, 2), { name: `${entryName}.json` });
+        } else if (options.sidecar === 'xmp') {
+            const baseName = path.basename(photo.filename, path.extname(photo.filename));
+            archive.append(buildXmp(photo), { name: `${entryDir}${baseName}.xmp` });
+        }
+    }
 
-// Serve the main HTML file
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'photoframe.html'));
-});
+    await archive.finalize();
+}
 
-// Upload endpoint
-app.post('/upload', upload.array('photos', 10), async (req, res) => {
+// Export an album as a ZIP (?sidecar=json|xmp|none&embed=1)
+app.get('/api/albums/:name/export', async (req, res) => {
     try {
-        if (!req.files || req.files.length === 0) {
-            return res.status(400).json({ error: 'No files uploaded' });
+        const albumName = req.params.name;
+        if (!albumExists(albumName) || !canViewAlbum(req.user, albumName)) {
+            return res.status(404).json({ error: 'Album not found' });
         }
 
-        const { title, date, location, tags, description, album } = req.body;
-        const processedFiles = [];
+        const photos = getAlbumPhotos(albumName);
+        if (photos.length === 0) {
+            return res.status(400).json({ error: 'Album has no photos to export' });
+        }
 
-        // Process each uploaded file
-        for (const file of req.files) {
-            // Generate filename based on metadata
-            const fileTitle = title || 'untitled';
-            const fileDate = date || new Date().toISOString().split('T')[0];
-            const fileAlbum = album || DEFAULT_ALBUM;
-            const sanitizedTitle = fileTitle.toLowerCase().replace(/[^a-z0-9]/g, '-');
-            const timestamp = Date.now();
-            const filename = `${fileDate}_${sanitizedTitle}_${timestamp}.jpg`;
-            
-            // Ensure album directory exists
-            const albumDir = path.join(photosDir, fileAlbum);
-            if (!fs.existsSync(albumDir)) {
-                fs.mkdirSync(albumDir, { recursive: true });
-            }
-            
-            const filepath = path.join(albumDir, filename);
+        await streamPhotoExport(res, photos, albumName, getExportOptions(req.query));
+    } catch (error) {
+        console.error('Error exporting album:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to export album' });
+        }
+    }
+});
 
+// Export a selection of photos as a ZIP. Accepts JSON or a form post where ids (or the older
+// filenames) is a JSON-encoded array, so the browser can download the response directly.
+app.post('/api/export', async (req, res) => {
+    try {
+        let keys = req.body.ids || req.body.filenames;
+        if (typeof keys === 'string') {
             try {
-                // Process image with sharp
-                await sharp(file.buffer)
-                    .rotate() // Auto-rotate based on EXIF orientation
-                    .jpeg({ 
-                        quality: 90, 
-                        progressive: true,
-                        force: true // Force JPEG output
-                    })
-                    .withMetadata() // Preserve metadata but fix orientation
-                    .toFile(filepath);
-
-                const photoData = {
-                    filename: filename,
-                    originalName: file.originalname,
-                    title: title || 'Untitled',
-                    date: date || new Date().toISOString().split('T')[0],
-                    location: location || '',
-                    tags: tags || '',
-                    description: description || '',
-                    album: fileAlbum,
-                    uploadedAt: new Date().toISOString(),
-                    size: file.size,
-                    mimetype: 'image/jpeg'
-                };
-                photosMetadata.push(photoData);
-                processedFiles.push(filename);
-            } catch (processError) {
-                console.error('Error processing image:', file.originalname, processError);
-                // Try to save without processing as fallback
-                const fallbackExt = path.extname(file.originalname) || '.jpg';
-                const fallbackFilename = `${fileDate}_${sanitizedTitle}_${timestamp}${fallbackExt}`;
-                const fallbackPath = path.join(albumDir, fallbackFilename);
-                fs.writeFileSync(fallbackPath, file.buffer);
-                
-                const photoData = {
-                    filename: fallbackFilename,
-                    originalName: file.originalname,
-                    title: title || 'Untitled',
-                    date: date || new Date().toISOString().split('T')[0],
-                    location: location || '',
-                    tags: tags || '',
-                    description: description || '',
-                    album: fileAlbum,
-                    uploadedAt: new Date().toISOString(),
-                    size: file.size,
-                    mimetype: file.mimetype
-                };
-                photosMetadata.push(photoData);
-                processedFiles.push(fallbackFilename);
-            }
-        }
-
-        // Save metadata to file
-        fs.writeFileSync(metadataFile, JSON.stringify(photosMetadata, null, 2));
+                keys = JSON.parse(keys);
+            } catch (err) {
+                keys = [keys];
+            }
+        }
 
-        res.json({ 
-            success: true, 
-            message: `${processedFiles.length} photo(s) uploaded successfully`,
-            files: processedFiles
-        });
+        if (!Array.isArray(keys) || keys.length === 0) {
+            return res.status(400).json({ error: 'No photos selected for export' });
+        }
+
+        const photos = keys.map(findPhoto).filter(photo => photo && canViewPhoto(req.user, photo));
+        if (photos.length === 0) {
+            return res.status(404).json({ error: 'None of the selected photos were found' });
+        }
+
+        const archiveName = `photofriend-export-${new Date().toISOString().split('T')[0]}`;
+        await streamPhotoExport(res, photos, archiveName, { ...getExportOptions(req.body), folders: true });
     } catch (error) {
-        console.error('Upload error:', error);
-        res.status(500).json({ error: 'Failed to upload photos' });
+        console.error('Error exporting photos:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to export photos' });
+        }
     }
 });
 
-// Get all photos with metadata
-app.get('/api/photos', (req, res) => {
-    res.json(photosMetadata);
-});
-
-// Get single photo metadata
-app.get('/api/photos/:filename', (req, res) => {
-    const photo = photosMetadata.find(p => p.filename === req.params.filename);
-    if (photo) {
-        res.json(photo);
-    } else {
-        res.status(404).json({ error: 'Photo not found' });
+// Archives go to a temp file rather than memory, since whole collections can be gigabytes
+const importUpload = multer({
+    dest: path.join(os.tmpdir(), 'photofriend-imports'),
+    fileFilter: function (req, file, cb) {
+        if (path.extname(file.originalname).toLowerCase() !== '.zip') {
+            return cb(new Error('Only ZIP archives can be imported'), false);
+        }
+        cb(null, true);
     }
 });
 
-// Update photo metadata
-app.patch('/api/photos/:filename', (req, res) => {
-    const oldFilename = req.params.filename;
-    const photoIndex = photosMetadata.findIndex(p => p.filename === oldFilename);
-    
-    if (photoIndex === -1) {
-        return res.status(404).json({ error: 'Photo not found' });
-    }
+// Import jobs by ID; progress is polled from GET /api/import/:id
+const importJobs = new Map();
 
-    const photo = photosMetadata[photoIndex];
-    let newFilename = oldFilename;
+function isHiddenImportPath(name) {
+    return name.startsWith('__MACOSX/') || name.split('/').some(part => part.startsWith('.'));
+}
 
-    // Check if date is being updated
-    if (req.body.date && req.body.date !== photo.date) {
-        // Generate new filename with updated date
-        const fileTitle = photo.title || 'untitled';
-        const sanitizedTitle = fileTitle.toLowerCase().replace(/[^a-z0-9]/g, '-');
-        
-        // Extract timestamp from old filename or use current time
-        let timestamp;
-        const oldParts = oldFilename.match(/_(\d+)\./);
-        if (oldParts && oldParts[1]) {
-            timestamp = oldParts[1];
-        } else {
-            timestamp = Date.now();
-        }
-        
-        // Determine file extension
-        const extension = path.extname(oldFilename) || '.jpg';
-        newFilename = `${req.body.date}_${sanitizedTitle}_${timestamp}${extension}`;
-        
-        // Rename the physical file (including album directory)
-        const albumDir = photo.album || DEFAULT_ALBUM;
-        const oldPath = path.join(photosDir, albumDir, oldFilename);
-        const newPath = path.join(photosDir, albumDir, newFilename);
+// Import sources list files as relative POSIX paths and read them on demand,
+// so folders and ZIP archives share the same import pipeline
+function openFolderSource(rootDir) {
+    const files = [];
+    const walk = (dir) => {
+        fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                walk(fullPath);
+            } else if (entry.isFile()) {
+                files.push(path.relative(rootDir, fullPath).split(path.sep).join('/'));
+            }
+        });
+    };
+    walk(rootDir);
 
-        try {
-            if (fs.existsSync(oldPath)) {
-                fs.renameSync(oldPath, newPath);
+    return {
+        files: files.filter(name => !isHiddenImportPath(name)),
+        read: (name) => fs.promises.readFile(path.join(rootDir, name)),
+        close: () => {}
+    };
+}
+
+function openZipSource(zipPath) {
+    return new Promise((resolve, reject) => {
+        yauzl.open(zipPath, { lazyEntries: true, autoClose: false }, (err, zipfile) => {
+            if (err) {
+                return reject(err);
             }
-            // Update filename in metadata
-            photosMetadata[photoIndex].filename = newFilename;
-        } catch (err) {
-            console.error('Error renaming file:', err);
-            return res.status(500).json({ error: 'Failed to rename file' });
-        }
-    }
 
-    // Update the metadata fields that were sent
-    const allowedFields = ['title', 'date', 'location', 'tags', 'description'];
-    Object.keys(req.body).forEach(key => {
-        if (allowedFields.includes(key)) {
-            photosMetadata[photoIndex][key] = req.body[key];
-        }
+            const entries = new Map();
+            zipfile.on('error', reject);
+            zipfile.on('entry', entry => {
+                if (!entry.fileName.endsWith('/')) {
+                    entries.set(entry.fileName, entry);
+                }
+                zipfile.readEntry();
+            });
+            zipfile.on('end', () => resolve({
+                files: [...entries.keys()].filter(name => !isHiddenImportPath(name)),
+                read: (name) => new Promise((resolveRead, rejectRead) => {
+                    zipfile.openReadStream(entries.get(name), (streamErr, stream) => {
+                        if (streamErr) {
+                            return rejectRead(streamErr);
+                        }
+                        const chunks = [];
+                        stream.on('data', chunk => chunks.push(chunk));
+                        stream.on('end', () => resolveRead(Buffer.concat(chunks)));
+                        stream.on('error', rejectRead);
+                    });
+                }),
+                close: () => zipfile.close()
+            }));
+            zipfile.readEntry();
+        });
     });
+}
 
-    // Save updated metadata to file
-    fs.writeFileSync(metadataFile, JSON.stringify(photosMetadata, null, 2));
+// Sidecars next to an image, most specific first. Google Takeout writes "photo.jpg.json"
+// (newer exports: "photo.jpg.supplemental-metadata.json"), truncated to 51 characters,
+// and shares it with the "-edited" copy; our own exports write the same name or "photo.xmp".
+function findSidecars(imageName, fileSet) {
+    const dir = path.posix.dirname(imageName);
+    const prefix = dir === '.' ? '' : `${dir}/`;
+    const name = path.posix.basename(imageName);
+    const ext = path.posix.extname(name);
+    const base = name.slice(0, name.length - ext.length);
+    const uneditedName = base.replace(/-edited$/, '') + ext;
 
-    res.json({ 
-        success: true, 
-        message: 'Photo metadata updated successfully',
-        photo: photosMetadata[photoIndex],
-        newFilename: newFilename
+    const jsonCandidates = [];
+    [name, uneditedName].forEach(candidate => {
+        jsonCandidates.push(
+            `${candidate}.json`,
+            `${candidate}.supplemental-metadata.json`,
+            `${`${candidate}.supplemental-metadata`.slice(0, 46)}.json`,
+            `${candidate.slice(0, 46)}.json`
+        );
     });
-});
+    jsonCandidates.push(`${base}.json`);
 
-// Delete photo
-app.delete('/api/photos/:filename', (req, res) => {
-    const filename = req.params.filename;
-    const photoIndex = photosMetadata.findIndex(p => p.filename === filename);
-    
-    if (photoIndex === -1) {
-        return res.status(404).json({ error: 'Photo not found' });
+    const find = (candidates) => candidates.map(candidate => prefix + candidate).find(candidate => fileSet.has(candidate));
+    return {
+        json: find(jsonCandidates),
+        xmp: find([`${base}.xmp`, `${name}.xmp`, `${base}.XMP`])
+    };
+}
+
+function unescapeXml(value) {
+    return value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// An XMP property may be an attribute or an element; list-valued elements return their rdf:li items
+function readXmpField(xml, name) {
+    const attribute = xml.match(new RegExp(`${name}="([^"]*)"`));
+    if (attribute) {
+        return [unescapeXml(attribute[1].trim())];
     }
 
-    const photo = photosMetadata[photoIndex];
-    // Delete file from album directory
-    const filePath = path.join(photosDir, photo.album || DEFAULT_ALBUM, filename);
-    if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
+    const element = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`));
+    if (!element) {
+        return [];
     }
+    const items = [...element[1].matchAll(/<rdf:li[^>]*>([\s\S]*?)<\/rdf:li>/g)].map(item => item[1]);
+    return (items.length > 0 ? items : [element[1]])
+        .map(item => unescapeXml(item.trim()))
+        .filter(Boolean);
+}
 
-    // Remove from metadata
-    photosMetadata.splice(photoIndex, 1);
-    fs.writeFileSync(metadataFile, JSON.stringify(photosMetadata, null, 2));
+// "48,51.494N" or "48,51,29.64N" to signed decimal degrees
+function parseXmpCoordinate(value) {
+    const match = /^(\d+),(\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?))?([NSEW])$/i.exec(value || '');
+    if (!match) {
+        return undefined;
+    }
+    const decimal = Number(match[1]) + Number(match[2]) / 60 + Number(match[3] || 0) / 3600;
+    return Math.round(('SW'.includes(match[4].toUpperCase()) ? -decimal : decimal) * 1e6) / 1e6;
+}
 
-    res.json({ success: true, message: 'Photo deleted successfully' });
-});
+// Map an XMP packet (sidecar or embedded) onto photo fields
+function parseXmp(xml) {
+    const metadata = {};
+    const [title] = readXmpField(xml, 'dc:title');
+    const [description] = readXmpField(xml, 'dc:description');
+    const [location] = readXmpField(xml, 'Iptc4xmpCore:Location');
+    const [created] = [
+        ...readXmpField(xml, 'photoshop:DateCreated'),
+        ...readXmpField(xml, 'exif:DateTimeOriginal'),
+        ...readXmpField(xml, 'xmp:CreateDate')
+    ];
+    const tags = readXmpField(xml, 'dc:subject');
 
-// Get all albums
-app.get('/api/albums', (req, res) => {
-    try {
-        const albums = [];
-        const entries = fs.readdirSync(photosDir, { withFileTypes: true });
-        
-        for (const entry of entries) {
-            if (entry.isDirectory()) {
-                const albumPath = path.join(photosDir, entry.name);
-                const photos = photosMetadata.filter(p => p.album === entry.name);
-                albums.push({
-                    name: entry.name,
-                    photoCount: photos.length,
-                    isDefault: entry.name === DEFAULT_ALBUM
-                });
-            }
-        }
-        
-        res.json(albums);
-    } catch (error) {
-        console.error('Error getting albums:', error);
-        res.status(500).json({ error: 'Failed to get albums' });
+    if (title) metadata.title = title;
+    if (description) metadata.description = description;
+    if (location) metadata.location = location;
+    if (tags.length > 0) metadata.tags = normalizeTags(tags);
+    const dateTime = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2})(:\d{2})?/.exec(created || '');
+    if (dateTime) {
+        metadata.takenAt = dateTime[1] + (dateTime[2] || ':00');
+    } else if (/^\d{4}-\d{2}-\d{2}$/.test(created || '')) {
+        metadata.date = created;
     }
-});
 
-// Create new album
-app.post('/api/albums', (req, res) => {
-    try {
-        const { name } = req.body;
-        
-        if (!name || !name.trim()) {
-            return res.status(400).json({ error: 'Album name is required' });
-        }
-        
-        // Sanitize album name for filesystem
-        const sanitizedName = name.trim().toLowerCase().replace(/[^a-z0-9\s-]/g, '').replace(/\s+/g, '-');
-        
-        if (!sanitizedName) {
-            return res.status(400).json({ error: 'Invalid album name' });
-        }
-        
-        const albumPath = path.join(photosDir, sanitizedName);
-        
-        if (fs.existsSync(albumPath)) {
-            return res.status(409).json({ error: 'Album already exists' });
-        }
-        
-        fs.mkdirSync(albumPath);
-        res.json({ 
-            success: true, 
-            message: 'Album created successfully',
-            album: {
-                name: sanitizedName,
-                photoCount: 0,
-                isDefault: false
-            }
-        });
-    } catch (error) {
-        console.error('Error creating album:', error);
-        res.status(500).json({ error: 'Failed to create album' });
+    const latitude = parseXmpCoordinate(readXmpField(xml, 'exif:GPSLatitude')[0]);
+    const longitude = parseXmpCoordinate(readXmpField(xml, 'exif:GPSLongitude')[0]);
+    if (latitude !== undefined && longitude !== undefined) {
+        metadata.latitude = latitude;
+        metadata.longitude = longitude;
     }
-});
+    return metadata;
+}
 
-// Delete album
-app.delete('/api/albums/:name', (req, res) => {
-    try {
-        const albumName = req.params.name;
-        
-        if (albumName === DEFAULT_ALBUM) {
-            return res.status(400).json({ error: 'Cannot delete default album' });
-        }
-        
-        const albumPath = path.join(photosDir, albumName);
-        
-        if (!fs.existsSync(albumPath)) {
-            return res.status(404).json({ error: 'Album not found' });
+// Map a JSON sidecar onto photo fields: either Google Takeout's format or our own export format
+function parseJsonSidecar(data) {
+    const metadata = {};
+    if (data.photoTakenTime || data.creationTime || data.geoData) {
+        // Takeout's title is just the original filename; times are UTC Unix seconds and 0,0 means no location
+        if (data.description) metadata.description = data.description;
+        const timestamp = Number((data.photoTakenTime || data.creationTime || {}).timestamp);
+        if (timestamp) {
+            metadata.takenAt = new Date(timestamp * 1000).toISOString().split('.')[0];
         }
-        
-        // Check if album has photos
-        const photosInAlbum = photosMetadata.filter(p => p.album === albumName);
-        if (photosInAlbum.length > 0) {
-            return res.status(400).json({ error: 'Cannot delete album with photos. Move photos first.' });
+        const geo = [data.geoData, data.geoDataExif].find(g => g && (g.latitude || g.longitude));
+        if (geo) {
+            metadata.latitude = geo.latitude;
+            metadata.longitude = geo.longitude;
         }
-        
-        // Check if directory is empty
-        const files = fs.readdirSync(albumPath);
-        if (files.length > 0) {
-            return res.status(400).json({ error: 'Album directory is not empty' });
+        if (Array.isArray(data.people) && data.people.length > 0) {
+            metadata.tags = normalizeTags(data.people.map(person => person.name).filter(Boolean));
         }
-        
-        fs.rmdirSync(albumPath);
-        res.json({ success: true, message: 'Album deleted successfully' });
-    } catch (error) {
-        console.error('Error deleting album:', error);
-        res.status(500).json({ error: 'Failed to delete album' });
+        return metadata;
     }
-});
 
-// Crop photo
-app.post('/api/photos/:filename/crop', async (req, res) => {
-    try {
-        const filename = req.params.filename;
-        const { x, y, width, height } = req.body;
-
-        // Validate crop parameters
-        if (!x && x !== 0 || !y && y !== 0 || !width || !height) {
-            return res.status(400).json({ error: 'Invalid crop parameters' });
+    ['title', 'description', 'location'].forEach(key => {
+        if (typeof data[key] === 'string' && data[key]) {
+            metadata[key] = data[key];
         }
+    });
+    if (isValidDate(data.date)) metadata.date = data.date;
+    if (typeof data.takenAt === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}$/.test(data.takenAt)) {
+        metadata.takenAt = data.takenAt;
+    }
+    if (data.tags) metadata.tags = normalizeTags(data.tags);
+    if (typeof data.latitude === 'number' && typeof data.longitude === 'number') {
+        metadata.latitude = data.latitude;
+        metadata.longitude = data.longitude;
+    }
+    return metadata;
+}
 
-        const photoIndex = photosMetadata.findIndex(p => p.filename === filename);
-        if (photoIndex === -1) {
-            return res.status(404).json({ error: 'Photo not found' });
+// Merge embedded XMP, then the XMP sidecar, then the JSON sidecar (later sources win)
+async function readImportMetadata(name, xmpBuffer, fileSet, source) {
+    const metadata = xmpBuffer ? parseXmp(xmpBuffer.toString('utf8')) : {};
+    const sidecars = findSidecars(name, fileSet);
+    if (sidecars.xmp) {
+        Object.assign(metadata, parseXmp((await source.read(sidecars.xmp)).toString('utf8')));
+    }
+    if (sidecars.json) {
+        try {
+            Object.assign(metadata, parseJsonSidecar(JSON.parse((await source.read(sidecars.json)).toString('utf8'))));
+        } catch (err) {
+            throw new Error(`Unreadable sidecar ${sidecars.json}: ${err.message}`);
         }
+    }
+    return metadata;
+}
 
-        const photo = photosMetadata[photoIndex];
-        const albumDir = photo.album || DEFAULT_ALBUM;
-        const filePath = path.join(photosDir, albumDir, filename);
+// Photos at the top of the import go to the new album; each subfolder becomes its own new album.
+// Folders shared by every image (e.g. "Takeout/Google Photos/") are skipped first.
+function getImportAlbums(images, importAlbum) {
+    const albums = new Map();
+    if (images.length === 0) {
+        return albums;
+    }
 
-        if (!fs.existsSync(filePath)) {
-            return res.status(404).json({ error: 'Photo file not found' });
-        }
+    const folders = images.map(name => name.split('/').slice(0, -1));
+    let common = 0;
+    while (folders.every(parts => parts.length > common && parts[common] === folders[0][common])) {
+        common++;
+    }
 
-        // Create a backup of the original file
-        const backupPath = filePath + '.backup';
-        if (!fs.existsSync(backupPath)) {
-            fs.copyFileSync(filePath, backupPath);
+    // Subfolders of the same name share an album; none of them takes over an existing one
+    const folderAlbums = new Map();
+    const taken = new Set([importAlbum, DEFAULT_ALBUM]);
+    images.forEach((name, index) => {
+        const parts = folders[index].slice(common);
+        const folderName = parts.length > 0 ? sanitizeAlbumName(parts[parts.length - 1]) : '';
+        if (folderName && !folderAlbums.has(folderName)) {
+            const album = getNewAlbumName(folderName, taken);
+            folderAlbums.set(folderName, album);
+            taken.add(album);
         }
+        albums.set(name, folderAlbums.get(folderName) || importAlbum);
+    });
+    return albums;
+}
 
-        // Get image metadata to validate and clamp crop bounds
-        const metadata = await sharp(filePath).metadata();
-        const clampedX = Math.max(0, Math.min(x, metadata.width - 1));
-        const clampedY = Math.max(0, Math.min(y, metadata.height - 1));
-        const clampedWidth = Math.max(1, Math.min(width, metadata.width - clampedX));
-        const clampedHeight = Math.max(1, Math.min(height, metadata.height - clampedY));
+// Pick an unused album name so an import never merges into an existing album by accident. Names
+// in taken are avoided too, for albums an import is about to create.
+function getNewAlbumName(name, taken = new Set()) {
+    const base = sanitizeAlbumName(name) || 'import';
+    let album = base;
+    for (let n = 2; taken.has(album) || fs.existsSync(path.join(photosDir, album)); n++) {
+        album = `${base}-${n}`;
+    }
+    return album;
+}
 
-        // Perform the crop using sharp
-        await sharp(filePath)
-            .extract({ left: clampedX, top: clampedY, width: clampedWidth, height: clampedHeight })
-            .jpeg({ quality: 90, progressive: true })
-            .toFile(filePath + '.tmp');
+async function runImport(job, source) {
+    const fileSet = new Set(source.files);
+    const images = source.files.filter(name => getMediaMimetype(name));
+    const albums = getImportAlbums(images, job.album);
+    job.total = images.length;
 
-        // Replace original with cropped version
-        fs.renameSync(filePath + '.tmp', filePath);
+    // Processed photos are recorded in batches so a large import doesn't rewrite the library per file
+    let pending = [];
+    const commitPending = async () => {
+        const batch = pending;
+        pending = [];
+        await recordIngested(batch);
+    };
 
-        res.json({
-            success: true,
-            message: 'Photo cropped successfully',
-            filename: filename
-        });
-    } catch (error) {
-        console.error('Error cropping photo:', error);
-        res.status(500).json({ error: 'Failed to crop photo: ' + error.message });
-    }
-});
+    for (const name of images) {
+        job.current = name;
+        try {
+            const buffer = await source.read(name);
 
-// Check if photo has a backup (for undo crop)
-app.get('/api/photos/:filename/backup', (req, res) => {
-    try {
-        const filename = req.params.filename;
-        const photoIndex = photosMetadata.findIndex(p => p.filename === filename);
+            // Embedded XMP, where libvips can read the file; ingestPhoto rejects what can't be decoded
+            const { xmp } = await sharp(buffer).metadata().catch(() => ({}));
+            const fields = {
+                ...await readImportMetadata(name, xmp, fileSet, source),
+                album: albums.get(name),
+                uploadedBy: job.uploadedBy
+            };
 
-        if (photoIndex === -1) {
-            return res.status(404).json({ error: 'Photo not found' });
+            const photoData = await ingestPhoto({
+                buffer: buffer,
+                originalname: path.posix.basename(name),
+                mimetype: getMediaMimetype(name),
+                size: buffer.length
+            }, fields);
+            pending.push(photoData);
+            job.imported.push(photoData.filename);
+            if (!job.albums.includes(photoData.album)) {
+                job.albums.push(photoData.album);
+            }
+        } catch (err) {
+            console.error(`Failed to import ${name}:`, err.message);
+            job.failures.push({ file: name, error: err.message });
         }
 
-        const photo = photosMetadata[photoIndex];
-        const albumDir = photo.album || DEFAULT_ALBUM;
-        const filePath = path.join(photosDir, albumDir, filename);
-        const backupPath = filePath + '.backup';
-
-        const hasBackup = fs.existsSync(backupPath);
-
-        res.json({
-            exists: hasBackup,
-            filename: filename
-        });
-    } catch (error) {
-        console.error('Error checking backup:', error);
-        res.status(500).json({ error: 'Failed to check backup' });
+        job.processed++;
+        if (pending.length >= 25) {
+            await commitPending();
+        }
     }
-});
 
-// Restore photo from backup (undo crop)
-app.post('/api/photos/:filename/restore', async (req, res) => {
-    try {
-        const filename = req.params.filename;
-        const photoIndex = photosMetadata.findIndex(p => p.filename === filename);
+    job.skipped = source.files.length - images.length;
+    await commitPending();
+}
 
-        if (photoIndex === -1) {
-            return res.status(404).json({ error: 'Photo not found' });
-        }
+// Import a ZIP (multipart field "archive") or a folder/ZIP already on the server ("path"),
+// with an optional "album" name. Returns a job to poll for progress and the failure report.
+app.post('/api/import', requireAdmin, importUpload.single('archive'), async (req, res) => {
+    let cleanup = () => {};
+    try {
+        let source;
+        let sourceName;
 
-        const photo = photosMetadata[photoIndex];
-        const albumDir = photo.album || DEFAULT_ALBUM;
-        const filePath = path.join(photosDir, albumDir, filename);
-        const backupPath = filePath + '.backup';
+        if (req.file) {
+            cleanup = () => fs.promises.unlink(req.file.path).catch(() => {});
+            sourceName = path.basename(req.file.originalname, path.extname(req.file.originalname));
+            source = await openZipSource(req.file.path);
+        } else if (req.body.path) {
+            const sourcePath = path.resolve(req.body.path);
+            if (!fs.existsSync(sourcePath)) {
+                return res.status(400).json({ error: 'Import path does not exist' });
+            }
+            if (sourcePath === photosDir || sourcePath.startsWith(photosDir + path.sep)) {
+                return res.status(400).json({ error: 'Cannot import from the photos directory itself' });
+            }
 
-        if (!fs.existsSync(backupPath)) {
-            return res.status(404).json({ error: 'No backup found for this photo' });
+            sourceName = path.basename(sourcePath, path.extname(sourcePath));
+            if (fs.statSync(sourcePath).isDirectory()) {
+                source = openFolderSource(sourcePath);
+            } else if (path.extname(sourcePath).toLowerCase() === '.zip') {
+                source = await openZipSource(sourcePath);
+            } else {
+                return res.status(400).json({ error: 'Import path must be a folder or a ZIP archive' });
+            }
+        } else {
+            return res.status(400).json({ error: 'Upload a ZIP archive or give a server path to import' });
         }
 
-        // Replace current image with backup
-        fs.copyFileSync(backupPath, filePath);
+        const job = {
+            id: crypto.randomBytes(8).toString('hex'),
+            source: sourceName,
+            album: getNewAlbumName(req.body.album || sourceName),
+            status: 'running',
+            total: 0,
+            processed: 0,
+            current: null,
+            imported: [],
+            albums: [],
+            failures: [],
+            skipped: 0,
+            uploadedBy: req.user.id,
+            startedAt: new Date().toISOString(),
+            finishedAt: null
+        };
+        importJobs.set(job.id, job);
 
-        // Remove the backup after successful restore
-        fs.unlinkSync(backupPath);
+        runImport(job, source)
+            .then(() => {
+                job.status = 'done';
+            })
+            .catch(err => {
+                console.error('Import error:', err);
+                job.status = 'failed';
+                job.error = err.message;
+            })
+            .finally(() => {
+                job.current = null;
+                job.finishedAt = new Date().toISOString();
+                source.close();
+                cleanup();
+            });
 
-        res.json({
-            success: true,
-            message: 'Photo restored from backup successfully',
-            filename: filename
-        });
+        res.status(202).json({ success: true, job: job });
     } catch (error) {
-        console.error('Error restoring from backup:', error);
-        res.status(500).json({ error: 'Failed to restore from backup: ' + error.message });
+        console.error('Error starting import:', error);
+        cleanup();
+        res.status(400).json({ error: `Failed to read import: ${error.message}` });
+    }
+});
+
+// Progress and failure report for an import
+app.get('/api/import/:id', requireAdmin, (req, res) => {
+    const job = importJobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Import not found' });
     }
+    res.json(job);
 });
 
 // Move photo to different album
-app.put('/api/photos/:filename/move', (req, res) => {
+app.put('/api/photos/:photoId/move', requirePhotoEdit, async (req, res) => {
     try {
-        const filename = req.params.filename;
+        const filename = req.photo.filename;
         const { targetAlbum } = req.body;
         
         if (!targetAlbum) {
             return res.status(400).json({ error: 'Target album is required' });
         }
-        
-        const photoIndex = photosMetadata.findIndex(p => p.filename === filename);
-        if (photoIndex === -1) {
-            return res.status(404).json({ error: 'Photo not found' });
+        if (!isExistingAlbum(targetAlbum)) {
+            return res.status(404).json({ error: 'Album not found' });
+        }
+        if (!canAddToAlbum(req.user, targetAlbum)) {
+            return res.status(403).json({ error: "You can't add photos to that album" });
         }
         
-        const photo = photosMetadata[photoIndex];
-        const currentAlbum = photo.album || DEFAULT_ALBUM;
+        const currentAlbum = req.photo.album || DEFAULT_ALBUM;
         
         if (currentAlbum === targetAlbum) {
             return res.status(400).json({ error: 'Photo is already in target album' });
         }
         
-        // Ensure target album exists
-        const targetAlbumPath = path.join(photosDir, targetAlbum);
-        if (!fs.existsSync(targetAlbumPath)) {
-            fs.mkdirSync(targetAlbumPath, { recursive: true });
-        }
-        
         // Move the physical file
-        const currentPath = path.join(photosDir, currentAlbum, filename);
+        const currentPath = getPhotoPath(req.photo);
         const targetPath = path.join(photosDir, targetAlbum, filename);
         
         if (!fs.existsSync(currentPath)) {
@@ -549,16 +4971,26 @@ app.put('/api/photos/:filename/move', (req, res) => {
             return res.status(409).json({ error: 'Photo with same name already exists in target album' });
         }
         
-        fs.renameSync(currentPath, targetPath);
-        
-        // Update metadata
-        photosMetadata[photoIndex].album = targetAlbum;
-        fs.writeFileSync(metadataFile, JSON.stringify(photosMetadata, null, 2));
+        // Move the file and update metadata together. Moving also moves membership: the photo
+        // leaves the album it came from but stays in any others it was added to.
+        const photo = await updatePhoto(req.photo.id, (photo) => {
+            const previousAlbum = photo.album;
+            photo.album = targetAlbum;
+            photo.albums = [...new Set(getPhotoAlbums(photo).filter(album => album !== currentAlbum).concat(targetAlbum))];
+            const previousRecord = findAlbumRecord(currentAlbum);
+            if (previousRecord) {
+                previousRecord.order = previousRecord.order.filter(id => id !== photo.id);
+            }
+            syncPhotoFile(photo, previousAlbum);
+        });
+        if (!photo) {
+            return res.status(404).json({ error: 'Photo not found' });
+        }
         
         res.json({
             success: true,
             message: 'Photo moved successfully',
-            photo: photosMetadata[photoIndex]
+            photo: photo
         });
     } catch (error) {
         console.error('Error moving photo:', error);
@@ -577,7 +5009,77 @@ app.use((error, req, res, next) => {
     res.status(500).json({ error: error.message });
 });
 
+// Compute hashes for photos uploaded before duplicate detection existed. Runs in the
+// background after startup. Uploads are hashed as received, so the archived upload is used where
+// there is one. Otherwise the bytes that were uploaded are gone, and the content hash is of the
+// stored JPEG (the untouched original for edited photos): re-uploading the same file won't match
+// exactly, only through the perceptual hash.
+async function backfillPhotoHashes() {
+    const hashes = new Map();
+    for (const photo of store.photos.filter(p => !p.contentHash)) {
+        const originalPath = getOriginalPath(photo.filename);
+        const imagePath = fs.existsSync(originalPath) ? originalPath : getPhotoPath(photo);
+        const sourcePath = photo.sourceFile && path.join(sourcesDir, photo.sourceFile);
+        try {
+            const buffer = fs.readFileSync(sourcePath && fs.existsSync(sourcePath) ? sourcePath : imagePath);
+            hashes.set(photo.filename, {
+                contentHash: computeContentHash(buffer),
+                perceptualHash: await computePerceptualHash(imagePath)
+            });
+        } catch (err) {
+            console.error(`Failed to hash ${photo.filename}:`, err.message);
+        }
+    }
+
+    // Photos may have been renamed or deleted while hashing, so match them up again
+    const updated = await store.transaction(() => {
+        let count = 0;
+        store.photos.forEach(photo => {
+            if (!photo.contentHash && hashes.has(photo.filename)) {
+                Object.assign(photo, hashes.get(photo.filename));
+                count++;
+            }
+        });
+        return count;
+    });
+
+    if (updated > 0) {
+        console.log(`Computed duplicate-detection hashes for ${updated} photo(s)`);
+    }
+}
+
 app.listen(PORT, () => {
     console.log(`PhotoFriend server running at http://localhost:${PORT}`);
     console.log(`Photos will be stored in: ${photosDir}`);
+    backfillPhotoHashes().catch(err => console.error('Failed to save photo hashes:', err));
+
+    // Purge expired trash now and then hourly
+    const purgeTrash = () => purgeExpiredTrash()
+        .then(count => {
+            if (count > 0) {
+                console.log(`Purged ${count} photo(s) from the trash`);
+            }
+        })
+        .catch(err => console.error('Failed to purge the trash:', err));
+    purgeTrash();
+
+    // Report files added or removed by hand since the last run
+    scanLibrary()
+        .then(report => {
+            const summary = summarizeLibraryReport(report);
+            if (summary) {
+                console.log(`Library check: ${summary}; see "Library" to reconcile`);
+            }
+        })
+        .catch(err => console.error('Failed to scan the library:', err))
+        .then(() => {
+            if (LIBRARY_WATCH) {
+                watchLibrary();
+            }
+        });
+
+    setInterval(() => {
+        purgeTrash();
+        discardIdleUploads();
+    }, 60 * 60 * 1000);
 });
\ No newline at end of file
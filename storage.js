@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+
+// Metadata storage: a single JSON document written atomically (temp file, fsync, rename), so a
+// crash mid-write leaves the previous version intact. Mutations run as serialized transactions and
+// are rolled back in memory if they throw. The document carries a schema version; on load, the
+// migrations passed in by the caller upgrade older files one version at a time.
+
+// Write to a sibling temp file and rename over the target; rename is atomic on the same filesystem
+function writeFileAtomic(filePath, contents) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+        fs.writeSync(fd, contents);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+}
+
+// Version 0 is the original format: a bare array of photos
+function getSchemaVersion(data) {
+    if (Array.isArray(data)) {
+        return 0;
+    }
+    return Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+}
+
+// Open (or create) the store. migrations[n] upgrades a document from version n to n + 1,
+// so the current schema version is migrations.length. Throws with an explanation instead of
+// returning an empty library when the file can't be read.
+function openStore(filePath, migrations) {
+    const schemaVersion = migrations.length;
+    let data;
+
+    if (fs.existsSync(filePath)) {
+        const raw = fs.readFileSync(filePath, 'utf8');
+        try {
+            data = JSON.parse(raw);
+        } catch (err) {
+            throw new Error(
+                `Could not parse ${filePath}: ${err.message}. ` +
+                'The file has not been changed; fix it or restore it from a backup before starting the server.'
+            );
+        }
+        if (data === null || typeof data !== 'object') {
+            throw new Error(`${filePath} does not contain a photo library. The file has not been changed.`);
+        }
+
+        const fileVersion = getSchemaVersion(data);
+        if (fileVersion > schemaVersion) {
+            throw new Error(
+                `${filePath} uses schema version ${fileVersion}, but this version of PhotoFriend only ` +
+                `understands up to ${schemaVersion}. Upgrade PhotoFriend or restore an older backup.`
+            );
+        }
+
+        if (fileVersion < schemaVersion) {
+            // Keep the pre-migration file so an upgrade can always be undone by hand
+            fs.copyFileSync(filePath, `${filePath}.v${fileVersion}.bak`);
+            for (let version = fileVersion; version < schemaVersion; version++) {
+                data = migrations[version](data);
+            }
+            data = { schemaVersion: schemaVersion, ...data };
+            data.schemaVersion = schemaVersion;
+            writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+            console.log(`Migrated ${path.basename(filePath)} from schema version ${fileVersion} to ${schemaVersion}`);
+        }
+    } else {
+        data = { schemaVersion: schemaVersion, ...migrations.reduce((document, migrate) => migrate(document), []) };
+        writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+    }
+
+    let committed = JSON.stringify(data, null, 2);
+    let queue = Promise.resolve();
+
+    return {
+        get photos() {
+            return data.photos;
+        },
+
+        // Top-level collections other than photos (created on first use). A rollback replaces the
+        // whole document, so look collections up again rather than holding on to them.
+        collection(name, initialValue) {
+            if (data[name] === undefined) {
+                data[name] = initialValue;
+            }
+            return data[name];
+        },
+
+        // Run fn with exclusive write access and persist the result. fn may be async; transactions
+        // queue behind each other, so an await inside one can't interleave with another's changes.
+        transaction(fn) {
+            const result = queue.then(async () => {
+                try {
+                    const value = await fn(data);
+                    const serialized = JSON.stringify(data, null, 2);
+                    if (serialized !== committed) {
+                        writeFileAtomic(filePath, serialized);
+                        committed = serialized;
+                    }
+                    return value;
+                } catch (err) {
+                    data = JSON.parse(committed);
+                    throw err;
+                }
+            });
+            queue = result.catch(() => {});
+            return result;
+        }
+    };
+}
+
+module.exports = {
+    openStore
+};